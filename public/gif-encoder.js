@@ -0,0 +1,267 @@
+// 3D Mesh Visualizer - Animated GIF encoder
+// Plain functions (no Three.js import): each RGBA frame gets its own 255-color
+// median-cut palette, plus one transparent index for pixels with alpha < 128.
+
+/**
+ * Creates a looping GIF encoder. `delay` is the time per frame in seconds.
+ * `addFrame(rgba)` encodes one Uint8ClampedArray of width * height * 4 bytes right
+ * away, so only the compressed frames are kept; `finish()` returns the file as a
+ * Uint8Array.
+ */
+export function createGIFEncoder(width, height, delay) {
+    const out = new ByteWriter();
+    out.string('GIF89a');
+    out.short(width);
+    out.short(height);
+    out.byte(0x70);  // No global color table, 8-bit color resolution
+    out.byte(0);  // Background color index
+    out.byte(0);  // Square pixels
+
+    // Netscape extension: loop forever
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.string('NETSCAPE2.0');
+    out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    // Browsers treat delays under 2 centiseconds as 10
+    const delayCentiseconds = Math.max(2, Math.round(delay * 100));
+    return {
+        addFrame(rgba) {
+            writeFrame(out, rgba, width, height, delayCentiseconds);
+        },
+        finish() {
+            out.byte(0x3b);  // Trailer
+            return out.result();
+        }
+    };
+}
+
+const TRANSPARENT_INDEX = 255;
+
+function writeFrame(out, rgba, width, height, delayCentiseconds) {
+    const { palette, indices, hasTransparency } = quantize(rgba);
+
+    // Graphic control extension: delay, disposal "restore to background", transparency
+    out.bytes([0x21, 0xf9, 0x04, 0x08 | (hasTransparency ? 1 : 0)]);
+    out.short(delayCentiseconds);
+    out.byte(TRANSPARENT_INDEX);
+    out.byte(0);
+
+    // Image descriptor with a 256-entry local color table
+    out.byte(0x2c);
+    out.short(0);
+    out.short(0);
+    out.short(width);
+    out.short(height);
+    out.byte(0x87);
+    out.bytes(palette);
+
+    writeLZW(out, indices, 8);
+}
+
+// Color bins are RGB with 5 bits per channel
+const binOf = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+/**
+ * Median cut over a 32768-bin histogram. Returns the palette (256 * RGB bytes,
+ * the last entry reserved for transparency) and one palette index per pixel.
+ */
+function quantize(rgba) {
+    const pixelCount = rgba.length / 4;
+    const counts = new Uint32Array(32768);
+    let hasTransparency = false;
+    for (let i = 0; i < pixelCount; i++) {
+        if (rgba[i * 4 + 3] < 128) {
+            hasTransparency = true;
+            continue;
+        }
+        counts[binOf(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2])]++;
+    }
+
+    const used = [];
+    for (let bin = 0; bin < counts.length; bin++) {
+        if (counts[bin] > 0) used.push(bin);
+    }
+
+    // Split the box with the widest channel range until there are 255 boxes
+    const boxes = used.length ? [used] : [];
+    while (boxes.length < 255) {
+        let widest = -1;
+        let widestRange = 0;
+        let widestShift = 0;
+        boxes.forEach((box, b) => {
+            if (box.length < 2) return;
+            [10, 5, 0].forEach((shift) => {
+                let min = 31;
+                let max = 0;
+                box.forEach((bin) => {
+                    const value = (bin >> shift) & 31;
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                });
+                if (max - min > widestRange) {
+                    widest = b;
+                    widestRange = max - min;
+                    widestShift = shift;
+                }
+            });
+        });
+        if (widest < 0) break;
+
+        const box = boxes[widest].sort((a, b) => ((a >> widestShift) & 31) - ((b >> widestShift) & 31));
+        // Split at the pixel-count median
+        const total = box.reduce((sum, bin) => sum + counts[bin], 0);
+        let split = 0;
+        for (let seen = 0; split < box.length - 1 && seen + counts[box[split]] <= total / 2; split++) {
+            seen += counts[box[split]];
+        }
+        split = Math.max(split, 1);
+        boxes.splice(widest, 1, box.slice(0, split), box.slice(split));
+    }
+
+    // Each box becomes its count-weighted mean color
+    const palette = new Uint8Array(256 * 3);
+    const binColor = new Uint8Array(32768);
+    boxes.forEach((box, index) => {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let total = 0;
+        box.forEach((bin) => {
+            const count = counts[bin];
+            r += (((bin >> 10) & 31) * 8 + 4) * count;
+            g += (((bin >> 5) & 31) * 8 + 4) * count;
+            b += ((bin & 31) * 8 + 4) * count;
+            total += count;
+            binColor[bin] = index;
+        });
+        palette[index * 3] = Math.round(r / total);
+        palette[index * 3 + 1] = Math.round(g / total);
+        palette[index * 3 + 2] = Math.round(b / total);
+    });
+
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        indices[i] = rgba[i * 4 + 3] < 128
+            ? TRANSPARENT_INDEX
+            : binColor[binOf(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2])];
+    }
+    return { palette, indices, hasTransparency };
+}
+
+// Variable-width LZW as GIF expects it, packed into 255-byte sub-blocks
+function writeLZW(out, indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const MAX_CODE = 4095;
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    // Dictionary: (prefix code << 8 | byte) -> code
+    let dictionary = new Map();
+
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    out.byte(minCodeSize);
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bitBuffer & 0xff;
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+            if (blockLength === 255) {
+                out.byte(255);
+                out.bytes(block);
+                blockLength = 0;
+            }
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const value = indices[i];
+        const key = (prefix << 8) | value;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode <= MAX_CODE) {
+            dictionary.set(key, nextCode);
+            if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+            nextCode++;
+        } else {
+            // Table full: start over
+            emit(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = value;
+    }
+    emit(prefix);
+    // The decoder adds one more entry after the last code, so it may widen before the end code
+    if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+    emit(endCode);
+
+    if (bitCount > 0) {
+        block[blockLength++] = bitBuffer & 0xff;
+        if (blockLength === 255) {
+            out.byte(255);
+            out.bytes(block);
+            blockLength = 0;
+        }
+    }
+    if (blockLength > 0) {
+        out.byte(blockLength);
+        out.bytes(block.subarray(0, blockLength));
+    }
+    out.byte(0);  // Block terminator
+}
+
+// Growable byte buffer
+class ByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1 << 16);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.buffer.length) return;
+        let size = this.buffer.length * 2;
+        while (size < this.length + count) size *= 2;
+        const buffer = new Uint8Array(size);
+        buffer.set(this.buffer.subarray(0, this.length));
+        this.buffer = buffer;
+    }
+
+    byte(value) {
+        this.reserve(1);
+        this.buffer[this.length++] = value;
+    }
+
+    bytes(values) {
+        this.reserve(values.length);
+        this.buffer.set(values, this.length);
+        this.length += values.length;
+    }
+
+    short(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    result() {
+        return this.buffer.slice(0, this.length);
+    }
+}
@@ -3,25 +3,135 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/controls';
-import { OBJLoader } from 'three/loaders';
+import { GLTFExporter } from 'three/exporters/gltf';
+import { OBJExporter } from 'three/exporters/obj';
+import { STLExporter } from 'three/exporters/stl';
+import { GLTFLoader } from 'three/loaders/gltf';
+import { MTLLoader } from 'three/loaders/mtl';
+import { zipSync } from 'three/libs/fflate';
+import { mergeBufferGeometries } from 'three/utils';
+import { createGIFEncoder } from './gif-encoder.js';
+import { withPolygons } from './mesh-data.js';
 
 // ===== Loading Overlay Helpers =====
 const loadingOverlay = document.getElementById('loading-overlay');
 const loadingText = loadingOverlay?.querySelector('.loading-text');
+const loadingProgress = loadingOverlay?.querySelector('.loading-progress');
 
 function showLoading(message = 'Loading model...') {
     if (loadingOverlay) {
         if (loadingText) loadingText.textContent = message;
+        if (loadingProgress) loadingProgress.textContent = '';
         loadingOverlay.classList.add('visible');
     }
 }
 
 function hideLoading() {
     if (loadingOverlay) {
-        loadingOverlay.classList.remove('visible');
+        loadingOverlay.classList.remove('visible', 'error');
     }
 }
 
+function isLoadingVisible() {
+    return !!loadingOverlay && loadingOverlay.classList.contains('visible');
+}
+
+// Progress reported by the model worker, e.g. "Welding vertices 42%"
+function setLoadingProgress(stage, fraction) {
+    if (loadingProgress) loadingProgress.textContent = `${stage} ${Math.round(fraction * 100)}%`;
+}
+
+// Keep the overlay up with an error message until the user dismisses it
+function showLoadingError(message) {
+    if (!loadingOverlay) {
+        alert(message);
+        return;
+    }
+    if (loadingText) loadingText.textContent = message;
+    loadingOverlay.classList.add('visible', 'error');
+}
+
+document.getElementById('loading-dismiss')?.addEventListener('click', hideLoading);
+document.getElementById('loading-cancel')?.addEventListener('click', () => {
+    cancelModelWorker();
+    if (exportController) exportController.abort();
+    hideLoading();
+});
+
+// ===== Model Worker =====
+// Parsing and stage-data extraction run in model-worker.js so large models don't
+// freeze the UI. Jobs resolve with the worker's result; cancelling terminates the
+// worker and rejects pending jobs with an AbortError.
+let modelWorker = null;
+const modelWorkerJobs = new Map();
+let nextModelWorkerJob = 0;
+
+function runModelWorker(task, payload, transfer = []) {
+    if (!modelWorker) {
+        modelWorker = new Worker(new URL('./model-worker.js', import.meta.url), { type: 'module' });
+        modelWorker.addEventListener('message', handleModelWorkerMessage);
+        modelWorker.addEventListener('error', (e) => {
+            e.preventDefault();
+            stopModelWorker(new Error(`Model worker failed: ${e.message || 'could not start'}`));
+        });
+    }
+
+    const id = ++nextModelWorkerJob;
+    loadingOverlay?.classList.add('cancellable');
+    return new Promise((resolve, reject) => {
+        modelWorkerJobs.set(id, { resolve, reject });
+        modelWorker.postMessage({ id, task, payload }, transfer);
+    });
+}
+
+function handleModelWorkerMessage({ data }) {
+    const job = modelWorkerJobs.get(data.id);
+    if (!job) return;
+
+    if (data.type === 'progress') {
+        setLoadingProgress(data.stage, data.progress);
+        return;
+    }
+
+    modelWorkerJobs.delete(data.id);
+    if (modelWorkerJobs.size === 0) loadingOverlay?.classList.remove('cancellable');
+    if (data.type === 'error') {
+        job.reject(new Error(data.message));
+    } else {
+        job.resolve(data.result);
+    }
+}
+
+function cancelModelWorker() {
+    stopModelWorker(new DOMException('Loading cancelled', 'AbortError'));
+}
+
+// Terminate the worker (a fresh one starts with the next job) and fail its pending jobs
+function stopModelWorker(error) {
+    if (!modelWorker) return;
+    modelWorker.terminate();
+    modelWorker = null;
+    modelWorkerJobs.forEach((job) => job.reject(error));
+    modelWorkerJobs.clear();
+    loadingOverlay?.classList.remove('cancellable');
+}
+
+function isCancelled(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+// Rebuild a BufferGeometry from the plain arrays the worker sends back
+function deserializeGeometry(data) {
+    const geometry = new THREE.BufferGeometry();
+    Object.entries(data.attributes).forEach(([name, attr]) => {
+        geometry.setAttribute(name, new THREE.BufferAttribute(attr.array, attr.itemSize, attr.normalized));
+    });
+    if (data.index) geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+    data.groups.forEach((group) => geometry.addGroup(group.start, group.count, group.materialIndex));
+    geometry.userData = data.userData;
+    return geometry;
+}
+
 // ===== Scene Setup =====
 const scene = new THREE.Scene();
 
@@ -116,7 +226,8 @@ scene.add(sky);
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
 camera.position.z = 3;
 
-const renderer = new THREE.WebGLRenderer({ antialias: true });
+// Alpha so frame exports can clear to transparent; the clear alpha is 1 otherwise
+const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.setPixelRatio(window.devicePixelRatio);
 renderer.setClearColor(0x333333);
@@ -196,46 +307,465 @@ controls.dampingFactor = 0.05;
 let currentShape = 'cube';
 let currentGeometry = null;
 let currentMaterial = null;  // Store original material for textures
-let verticesData = [];
-let edgesData = [];
-let facesData = [];
+let partVisibility = [];  // Per-part visibility for multi-object models (matches geometry.userData.parts)
+// Stage data lives in flat typed arrays (see extractMeshData in mesh-data.js)
+let verticesData = new Float32Array(0);  // xyz per (welded) vertex
+let edgesData = new Uint32Array(0);  // Vertex index pair per edge
+let facesData = new Uint32Array(0);  // Vertex index triple per triangle
+let vertexCount = 0;
+let edgeCount = 0;
+let faceCount = 0;  // Triangles; see polygonCount for quads/n-gons
+let vertexSourceIds = new Uint32Array(0);  // Geometry vertex index each (welded) vertex came from
+let rawVertexCount = 0;  // Vertex count before welding
+let weldTolerance = 0.0001;  // World units; 0 merges exact duplicates only
+let facePolygonIds = new Uint32Array(0);  // Polygon index of each triangle in facesData (quads/n-gons span several triangles)
+let polygonCount = 0;
+// Above this many vertices, extraction shows the loading overlay (with progress and cancel)
+const LARGE_MODEL_VERTICES = 100000;
+let showTriangulation = false;  // Show triangle diagonals and animate per triangle instead of per polygon
 let vertices = null;  // InstancedMesh
-let vertexScales = [];  // Track individual vertex scales for animation
+let vertexReveal = null;  // Reveal uniforms for each stage (see createRevealUniforms)
 let edgesMesh = null;  // Merged edges mesh
-let edgeVisibility = [];  // Track individual edge visibility for animation
+let edgeReveal = null;
 let facesMesh = null;  // Merged faces mesh
 let facesInnerMesh = null; // Back-side faces for inside color
-let faceVisibility = [];  // Track individual face visibility for animation
+let faceReveal = null;
 let mesh = null;
+let meshUniforms = null;  // Uniforms shared by all assembled mesh materials
 // Animation State Tracking
 let activeVerticesTween = null;
 let activeEdgesTween = null;
 let activeFacesTween = null;
 let activeMeshTween = null;
 
+// ===== Stage Timing =====
+// Per stage: `duration` is the whole stage in seconds, `itemDuration` how long each
+// vertex/edge/face takes (capped by duration) and `ease` a GSAP ease applied to
+// each item (to the whole dissolve for the mesh). Saved in localStorage.
+const DEFAULT_STAGE_TIMING = {
+    vertices: { duration: 2, itemDuration: 0.5, ease: 'none' },
+    edges: { duration: 2, itemDuration: 0.3, ease: 'none' },
+    faces: { duration: 2, itemDuration: 0.4, ease: 'none' },
+    mesh: { duration: 2, ease: 'none' }
+};
+const STAGE_TIMING_STORAGE_KEY = 'mesh-visualizer-stage-timing';
+const EASE_SAMPLES = 64;
+let stageTiming = loadStageTiming();
+let instantStages = false;  // Set while replaying stages without animation (e.g. after a rebuild)
+
+function stageDuration(stage) {
+    return instantStages ? 0 : Math.max(0, stageTiming[stage].duration);
+}
+
+// Saved timing merged over the defaults; anything missing or malformed falls back
+function loadStageTiming() {
+    const timing = JSON.parse(JSON.stringify(DEFAULT_STAGE_TIMING));
+    try {
+        const saved = JSON.parse(localStorage.getItem(STAGE_TIMING_STORAGE_KEY)) || {};
+        Object.keys(timing).forEach((stage) => {
+            Object.keys(timing[stage]).forEach((key) => {
+                const value = saved[stage] && saved[stage][key];
+                if (typeof value !== typeof timing[stage][key]) return;
+                if (key === 'ease' && !gsap.parseEase(value)) return;
+                timing[stage][key] = value;
+            });
+        });
+    } catch (error) {
+        console.warn('Ignoring saved stage timing:', error);
+    }
+    return timing;
+}
+
+function saveStageTiming() {
+    try {
+        localStorage.setItem(STAGE_TIMING_STORAGE_KEY, JSON.stringify(stageTiming));
+    } catch (error) {
+        console.warn('Could not save stage timing:', error);
+    }
+}
+
+// ===== Stage Reveal =====
+// Vertices, edges and faces reveal on the GPU: every item carries a `startTime`
+// attribute, normalized to 0 (first in stagger order) .. 1 (last), and each stage
+// has one set of uniforms mapping its clock to per-item visibility. Per-frame cost
+// doesn't grow with mesh size, and setting revealTime shows any point in the reveal.
+const STAGE_REVEAL_GLSL = `
+    attribute float startTime;
+    uniform float revealTime;      // Seconds since the show/hide started
+    uniform float revealDuration;  // Seconds each item takes
+    uniform float revealSpan;      // Seconds between the first and last item starting
+    uniform float revealHiding;    // 1 while hiding (reverse order, 1 -> 0)
+    uniform float revealEase[${EASE_SAMPLES + 1}];  // Stage easing sampled over 0..1
+
+    float easeReveal(float t) {
+        float x = t * ${EASE_SAMPLES}.0;
+        int i = int(min(floor(x), ${EASE_SAMPLES - 1}.0));
+        return mix(revealEase[i], revealEase[i + 1], x - float(i));
+    }
+
+    // Item progress 0..1 towards shown (runs backwards while hiding)
+    float stageProgress() {
+        float start = mix(startTime, 1.0 - startTime, revealHiding) * revealSpan;
+        float progress = clamp((revealTime - start) / max(revealDuration, 1e-6), 0.0, 1.0);
+        return mix(progress, 1.0 - progress, revealHiding);
+    }
+
+    // Hiding plays the item ease backwards, so overshooting eases overshoot both ways
+    float stageVisibility() {
+        return easeReveal(stageProgress());
+    }
+`;
+
+function createRevealUniforms() {
+    return {
+        revealTime: { value: 0 },
+        revealDuration: { value: 0 },
+        revealSpan: { value: 0 },
+        revealHiding: { value: 0 },
+        revealEase: { value: sampleEase('none', new Float32Array(EASE_SAMPLES + 1)) }
+    };
+}
+
+// GSAP ease curve as EASE_SAMPLES + 1 evenly spaced values (for the revealEase uniform)
+function sampleEase(ease, samples) {
+    const easeFn = gsap.parseEase(ease) || gsap.parseEase('none');
+    for (let i = 0; i <= EASE_SAMPLES; i++) samples[i] = easeFn(i / EASE_SAMPLES);
+    return samples;
+}
+
+/**
+ * Sets up a stage's show (or hide) from the start. Each item takes up to the
+ * stage's itemDuration and starts are spread so the whole stage fits its duration.
+ * Returns the stage's total length in seconds.
+ */
+function configureReveal(uniforms, stage, itemCount, hiding) {
+    const stageLength = stageDuration(stage);
+    const duration = Math.min(stageTiming[stage].itemDuration, stageLength);
+    const span = itemCount > 1 ? Math.max(0, stageLength - duration) : 0;
+    uniforms.revealDuration.value = duration;
+    uniforms.revealSpan.value = span;
+    uniforms.revealHiding.value = hiding ? 1 : 0;
+    uniforms.revealTime.value = 0;
+    sampleEase(stageTiming[stage].ease, uniforms.revealEase.value);
+    return duration + span;
+}
+
+// Shows (or hides) a stage by tweening its revealTime. Returns the tween, or null
+// when the stage duration is 0 and it completes at once.
+function playReveal(uniforms, stage, itemCount, hiding, onComplete) {
+    const totalDuration = configureReveal(uniforms, stage, itemCount, hiding);
+    if (totalDuration === 0) {
+        uniforms.revealTime.value = 1;
+        onComplete();
+        return null;
+    }
+    return gsap.to(uniforms.revealTime, {
+        value: totalDuration,
+        duration: totalDuration,
+        ease: 'none',
+        onComplete
+    });
+}
+
+// ===== Reveal Order =====
+// Which items of a stage appear first. Every order boils down to a sort key per
+// item, normalized into the 0..1 startTime attribute.
+let revealOrder = 'index';  // index | sweep | radial | camera | flood | random
+let revealAxis = 'y';  // Sweep direction: x, y or z, '-' prefixed to reverse
+let revealSeed = 1;  // Seed for the random order
+let revealSeedPoint = null;  // Flood start (its nearest vertex is used); null = first vertex
+let pickingSeedVertex = false;
+
+// Small seeded PRNG (mulberry32) so a random order repeats for the same seed
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function findSeedVertex() {
+    if (!revealSeedPoint) return 0;
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    for (let i = 0; i < vertexCount; i++) {
+        const dx = verticesData[i * 3] - revealSeedPoint.x;
+        const dy = verticesData[i * 3 + 1] - revealSeedPoint.y;
+        const dz = verticesData[i * 3 + 2] - revealSeedPoint.z;
+        const distance = dx * dx + dy * dy + dz * dz;
+        if (distance < nearestDistance) {
+            nearest = i;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+// Edge hops from the seed vertex, breadth-first. Unreachable vertices come last.
+function computeFloodDepths(seed) {
+    const depths = new Float32Array(vertexCount).fill(-1);
+
+    // Neighbour lists in one flat array (offsets[v] .. offsets[v + 1])
+    const offsets = new Uint32Array(vertexCount + 1);
+    for (let i = 0; i < edgesData.length; i++) offsets[edgesData[i] + 1]++;
+    for (let v = 0; v < vertexCount; v++) offsets[v + 1] += offsets[v];
+    const neighbours = new Uint32Array(edgesData.length);
+    const fill = offsets.slice(0, vertexCount);
+    for (let i = 0; i < edgesData.length; i += 2) {
+        const a = edgesData[i];
+        const b = edgesData[i + 1];
+        neighbours[fill[a]++] = b;
+        neighbours[fill[b]++] = a;
+    }
+
+    const queue = new Uint32Array(vertexCount);
+    let head = 0;
+    let tail = 0;
+    let maxDepth = 0;
+    depths[seed] = 0;
+    queue[tail++] = seed;
+    while (head < tail) {
+        const v = queue[head++];
+        for (let n = offsets[v]; n < offsets[v + 1]; n++) {
+            const neighbour = neighbours[n];
+            if (depths[neighbour] >= 0) continue;
+            depths[neighbour] = depths[v] + 1;
+            maxDepth = Math.max(maxDepth, depths[neighbour]);
+            queue[tail++] = neighbour;
+        }
+    }
+    for (let i = 0; i < vertexCount; i++) {
+        if (depths[i] < 0) depths[i] = maxDepth + 1;
+    }
+    return depths;
+}
+
+// Sort key per welded vertex for the spatial orders
+function computeVertexRevealKeys() {
+    const keys = new Float32Array(vertexCount);
+    if (vertexCount === 0) return keys;
+
+    const point = new THREE.Vector3();
+    const axis = revealAxis.replace('-', '');
+    const direction = revealAxis.startsWith('-') ? -1 : 1;
+    let origin = null;
+    if (revealOrder === 'radial') {
+        origin = new THREE.Box3().setFromArray(verticesData).getCenter(new THREE.Vector3());
+    } else if (revealOrder === 'camera') {
+        origin = camera.position;
+    } else if (revealOrder === 'flood') {
+        const seed = findSeedVertex();
+        if (edgeCount > 0) return computeFloodDepths(seed);
+        // Point clouds have no edges to flood along: spread out from the seed instead
+        origin = new THREE.Vector3().fromArray(verticesData, seed * 3);
+    }
+
+    for (let i = 0; i < vertexCount; i++) {
+        point.fromArray(verticesData, i * 3);
+        keys[i] = origin ? point.distanceTo(origin) : direction * point[axis];
+    }
+    return keys;
+}
+
+/**
+ * Normalized start time per stage item in the current reveal order. Items are
+ * made of the welded vertices listed in `indices` (null for the vertices stage),
+ * `itemOf(i)` giving the item of indices[i]; spatial orders use the mean key of
+ * an item's vertices. `stream` keeps each stage's random order independent.
+ */
+function computeItemStartTimes(itemCount, indices, itemOf, stream) {
+    let keys = new Float32Array(itemCount);
+    if (revealOrder === 'index') {
+        for (let i = 0; i < itemCount; i++) keys[i] = i;
+    } else if (revealOrder === 'random') {
+        const random = createRandom(revealSeed + Math.imul(stream, 0x9E3779B9));
+        for (let i = 0; i < itemCount; i++) keys[i] = random();
+    } else if (!indices) {
+        keys = computeVertexRevealKeys();
+    } else {
+        const vertexKeys = computeVertexRevealKeys();
+        const counts = new Uint32Array(itemCount);
+        for (let i = 0; i < indices.length; i++) {
+            const item = itemOf(i);
+            keys[item] += vertexKeys[indices[i]];
+            counts[item]++;
+        }
+        for (let i = 0; i < itemCount; i++) keys[i] /= Math.max(counts[i], 1);
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < itemCount; i++) {
+        min = Math.min(min, keys[i]);
+        max = Math.max(max, keys[i]);
+    }
+    const range = max - min;
+    for (let i = 0; i < itemCount; i++) keys[i] = range > 0 ? (keys[i] - min) / range : 0;
+    return keys;
+}
+
+// startTime attribute values for each stage mesh (one per vertex of its geometry)
+function vertexStartTimes() {
+    return computeItemStartTimes(vertexCount, null, null, 0);
+}
+
+function edgeStartTimes() {
+    const itemOf = (i) => i >> 1;
+    const times = computeItemStartTimes(edgeCount, edgesData, itemOf, 1);
+    return Float32Array.from(edgesData, (vertex, i) => times[itemOf(i)]);
+}
+
+// Items are polygons, so every triangle of a quad/n-gon shares its polygon's start time
+function faceStartTimes() {
+    const itemOf = (i) => facePolygonIds[Math.floor(i / 3)];
+    const times = computeItemStartTimes(polygonCount, facesData, itemOf, 2);
+    return Float32Array.from(facesData, (vertex, i) => times[itemOf(i)]);
+}
+
+// Position along its edge (0 or 1) of each edge-mesh vertex. Edges draw on from 0,
+// so they grow out of whichever endpoint the reveal order shows first.
+function edgeDrawParams() {
+    const times = vertexStartTimes();
+    const params = new Float32Array(edgesData.length);
+    for (let i = 0; i < edgesData.length; i += 2) {
+        const reversed = times[edgesData[i + 1]] < times[edgesData[i]];
+        params[i] = reversed ? 1 : 0;
+        params[i + 1] = reversed ? 0 : 1;
+    }
+    return params;
+}
+
+// Re-order the existing stage meshes in place; visibility and reveal progress are kept
+function applyRevealOrder() {
+    [
+        [vertices, 'startTime', vertexStartTimes],
+        [edgesMesh, 'startTime', edgeStartTimes],
+        [edgesMesh, 'edgeParam', edgeDrawParams],
+        [facesMesh, 'startTime', faceStartTimes]
+    ].forEach(([object, name, values]) => {
+        if (!object) return;
+        const attribute = object.geometry.getAttribute(name);
+        attribute.array.set(values());
+        attribute.needsUpdate = true;
+    });
+}
+
+// ===== Face Motion & Exploded View =====
+// Face style: 0 dithers faces in place, 1 flies each face in along its normal, 2 flies
+// it in from outside the model's bounds. `explode` pushes faces (or whole parts of a
+// multi-part model) away from the center. Vertices, edges and the assembled mesh share
+// vertices between faces, so they move with their part but hide while faces explode
+// individually. The uniforms are shared by every stage material, so the controls
+// apply live.
+const FACE_STYLES = { dither: 0, 'fly-normal': 1, 'fly-outside': 2 };
+const faceMotion = {
+    faceStyle: { value: FACE_STYLES.dither },
+    explode: { value: 0 },
+    explodeByPart: { value: 0 }
+};
+
+const EXPLODE_GLSL = `
+    uniform float explode;        // 0 = assembled, 1 = every piece twice as far from the center
+    uniform float explodeByPart;  // 1 to move whole parts instead of single faces
+    uniform vec3 modelCenter;
+    #ifdef EXPLODE_PARTS
+    attribute vec3 partCenter;
+    #endif
+
+    vec3 explodeOffset(vec3 pieceCenter) {
+        #ifdef EXPLODE_PARTS
+        pieceCenter = mix(pieceCenter, partCenter, explodeByPart);
+        #endif
+        return (pieceCenter - modelCenter) * explode;
+    }
+
+    // For stages whose vertices are shared between faces: moves with the part only
+    vec3 partExplodeOffset() {
+        #ifdef EXPLODE_PARTS
+        return (partCenter - modelCenter) * explode * explodeByPart;
+        #else
+        return vec3(0.0);
+        #endif
+    }
+
+    // 1 while faces explode individually, which those stages can't follow
+    float explodeHides() {
+        #ifdef EXPLODE_PARTS
+        if (explodeByPart > 0.5) return 0.0;
+        #endif
+        return explode > 0.0 ? 1.0 : 0.0;
+    }
+`;
+
 // ===== Custom Shader Material for Edges =====
+// Edge style: 0 fades each line in, 1 draws it on from its first vertex, 2 draws it
+// from both ends to the middle. Shared by every edges material so changes apply live.
+const EDGE_DRAW_MODES = { fade: 0, 'from-start': 1, 'from-ends': 2 };
+const edgeDrawMode = { value: EDGE_DRAW_MODES.fade };
+
 const edgeShaderMaterial = new THREE.ShaderMaterial({
     uniforms: {},
-    vertexShader: `
-        attribute float visibility;
+    vertexShader: STAGE_REVEAL_GLSL + EXPLODE_GLSL + `
+        attribute float edgeParam;  // 0 at the edge's first vertex, 1 at its second
         varying float vVisibility;
+        varying float vEdgeParam;
+        varying float vExplodeHidden;
         
         void main() {
-            vVisibility = visibility;
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            vVisibility = stageVisibility();
+            vEdgeParam = edgeParam;
+            vExplodeHidden = explodeHides();
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position + partExplodeOffset(), 1.0);
         }
     `,
     fragmentShader: `
+        uniform float edgeDrawMode;
         varying float vVisibility;
+        varying float vEdgeParam;
+        varying float vExplodeHidden;
         
         void main() {
-            gl_FragColor = vec4(0.0, 1.0, 0.0, vVisibility);
+            if (vExplodeHidden > 0.5) discard;
+            if (edgeDrawMode < 0.5) {
+                gl_FragColor = vec4(0.0, 1.0, 0.0, vVisibility);
+                return;
+            }
+            // Draw-on: cut the line off past the drawn length instead of fading it
+            float drawn = clamp(vVisibility, 0.0, 1.0);
+            if (edgeDrawMode < 1.5) {
+                if (vEdgeParam > drawn) discard;
+            } else if (vEdgeParam > drawn * 0.5 && vEdgeParam < 1.0 - drawn * 0.5) {
+                discard;
+            }
+            gl_FragColor = vec4(0.0, 1.0, 0.0, 1.0);
         }
     `,
     transparent: true,
     linewidth: 3
 });
 
+// ===== Model Bounds =====
+// Bounds of the stage data as uniforms, shared by the faces and assembled mesh
+// materials (fly-in distances, exploded view, mesh wipes)
+const modelBounds = {
+    modelCenter: { value: new THREE.Vector3() },
+    modelRadius: { value: 1 },  // Half the bounding box diagonal
+    modelMin: { value: new THREE.Vector3() },
+    modelMax: { value: new THREE.Vector3() }
+};
+
+function updateModelBounds() {
+    const box = new THREE.Box3().setFromArray(verticesData);
+    if (box.isEmpty()) return;
+    box.getCenter(modelBounds.modelCenter.value);
+    modelBounds.modelRadius.value = Math.max(box.getSize(new THREE.Vector3()).length() / 2, 1e-3);
+    modelBounds.modelMin.value.copy(box.min);
+    modelBounds.modelMax.value.copy(box.max);
+}
+
 // ===== Custom Shader Material for Faces =====
 const faceShaderMaterial = new THREE.ShaderMaterial({
     uniforms: {
@@ -245,18 +775,36 @@ const faceShaderMaterial = new THREE.ShaderMaterial({
         insideColor: { value: new THREE.Color(0xff6600) },
         inside: { value: 0.0 }
     },
-    vertexShader: `
-        attribute float visibility;
+    vertexShader: STAGE_REVEAL_GLSL + EXPLODE_GLSL + `
+        attribute vec3 faceCenter;  // Centroid of the face's polygon
+        attribute vec3 faceNormal;  // Normal of the face's polygon
+        uniform float faceStyle;
+        uniform float modelRadius;
         varying float vVisibility;
+        varying float vProgress;
         varying vec3 vNormal;
         varying vec3 vWorldPosition;
+        varying vec3 vRestPosition;
         
         void main() {
-            vVisibility = visibility;
+            vProgress = stageProgress();
+            vVisibility = easeReveal(vProgress);
+            vec3 displaced = position + explodeOffset(faceCenter);
+
+            // Fly-in: start offset and settle as the face's (eased) visibility reaches 1
+            if (faceStyle > 0.5) {
+                vec3 outward = faceCenter - modelCenter;
+                bool alongNormal = faceStyle < 1.5 || length(outward) < 1e-6;
+                vec3 direction = alongNormal ? faceNormal : normalize(outward);
+                float flyDistance = modelRadius * (alongNormal ? 0.5 : 2.0);
+                displaced += direction * flyDistance * (1.0 - vVisibility);
+            }
+
             // Transform normal to world space
             vNormal = normalize(mat3(modelMatrix) * normal);
-            vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            vRestPosition = position;
+            vWorldPosition = (modelMatrix * vec4(displaced, 1.0)).xyz;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
         }
     `,
     fragmentShader: `
@@ -265,10 +813,13 @@ const faceShaderMaterial = new THREE.ShaderMaterial({
         uniform vec3 outsideColor;
         uniform vec3 insideColor;
         uniform float inside;
+        uniform float faceStyle;
         
         varying float vVisibility;
+        varying float vProgress;
         varying vec3 vNormal;
         varying vec3 vWorldPosition;
+        varying vec3 vRestPosition;
 
         // Hash for dithered (opaque) visibility reveal
         float hash(vec3 p) {
@@ -276,9 +827,14 @@ const faceShaderMaterial = new THREE.ShaderMaterial({
         }
         
         void main() {
-            // Opaque reveal: discard pixels based on animated visibility
-            float dither = hash(vWorldPosition * 10.0);
-            if (dither >= vVisibility) discard;
+            if (faceStyle < 0.5) {
+                // Opaque reveal: discard pixels based on animated visibility
+                float dither = hash(vRestPosition * 10.0);
+                if (dither >= vVisibility) discard;
+            } else if (vProgress <= 0.0) {
+                // Flying faces are solid, but hidden until they set off
+                discard;
+            }
 
             // Different colors for outside vs inside
             vec3 baseColor = mix(outsideColor, insideColor, inside);
@@ -323,14 +879,57 @@ const faceShaderMaterial = new THREE.ShaderMaterial({
 });
 
 // ===== Shape Geometries =====
+// Each factory also records its polygons as triangles-per-polygon, in index order:
+// box sides and side/sphere cells are quads (2 triangles; 1 at the sphere poles),
+// cylinder/cone caps are a single n-gon (n - 2 triangles)
+
+/**
+ * Cylinder (or cone, with radiusTop 0) whose caps are fanned from a rim vertex.
+ * THREE.CylinderGeometry fans each cap around a center vertex, which would count
+ * as an extra vertex per cap (cylinder 34 instead of 32, cone 18 instead of 17);
+ * a rim fan covers the same n-gon using only the solid's own corners.
+ */
+function createCappedCylinder(radiusTop, radiusBottom, height, radialSegments) {
+    const geometry = new THREE.CylinderGeometry(radiusTop, radiusBottom, height, radialSegments, 1, true);
+    const positions = Array.from(geometry.attributes.position.array);
+    const normals = Array.from(geometry.attributes.normal.array);
+    const uvs = Array.from(geometry.attributes.uv.array);
+    const indices = Array.from(geometry.index.array);
+
+    [[radiusTop, 1], [radiusBottom, -1]].forEach(([radius, sign]) => {
+        if (radius <= 0) return;
+        // Caps get their own rim vertices for the flat normal; welding merges them with the sides
+        const start = positions.length / 3;
+        for (let x = 0; x < radialSegments; x++) {
+            const theta = (x / radialSegments) * Math.PI * 2;
+            positions.push(radius * Math.sin(theta), sign * height / 2, radius * Math.cos(theta));
+            normals.push(0, sign, 0);
+            uvs.push(Math.cos(theta) * 0.5 + 0.5, Math.sin(theta) * 0.5 * sign + 0.5);
+        }
+        // Same winding as three's caps: counter-clockwise seen from outside
+        for (let x = 1; x < radialSegments - 1; x++) {
+            if (sign > 0) indices.push(start, start + x, start + x + 1);
+            else indices.push(start, start + x + 1, start + x);
+        }
+    });
+
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    // The side-only group would leave the caps unrendered
+    geometry.clearGroups();
+    return geometry;
+}
+
 const shapeGeometries = {
-    cube: () => new THREE.BoxGeometry(2, 2, 2),
-    cylinder: () => new THREE.CylinderGeometry(1, 1, 2, 16),
-    cone: () => new THREE.ConeGeometry(1, 2, 16),
-    sphere: () => new THREE.SphereGeometry(1, 16, 16)
+    cube: () => withPolygons(new THREE.BoxGeometry(2, 2, 2), Array(6).fill(2)),
+    cylinder: () => withPolygons(createCappedCylinder(1, 1, 2, 16), [...Array(16).fill(2), 14, 14]),
+    cone: () => withPolygons(createCappedCylinder(0, 1, 2, 16), [...Array(16).fill(2), 14]),
+    sphere: () => withPolygons(new THREE.SphereGeometry(1, 16, 16), [...Array(16).fill(1), ...Array(16 * 14).fill(2), ...Array(16).fill(1)])
 };
 
-// Built-in/custom OBJ models served with the app (populated from models.json)
+// Built-in/custom models (OBJ, glTF, GLB, STL, PLY, ZIP) served with the app (populated from models.json)
 const presetModels = {};
 const customModelListPath = 'models/models.json';
 
@@ -338,7 +937,6 @@ const customModelListPath = 'models/models.json';
 let lightingRotation = 180;
 let skyboxRotation = 212;
 let vertexSize = 0.05;
-let animationMaxTime = 2;
 let floorHelpersVisible = true;
 const lights = [rimLight];
 const lightPositions = [
@@ -358,8 +956,8 @@ function rotateLights(angle) {
     });
 
     // Update shader uniforms if assembled mesh exists
-    if (mesh && mesh.material && mesh.material.uniforms) {
-        mesh.material.uniforms.rimLightPos.value.copy(rimLight.position);
+    if (mesh && meshUniforms) {
+        meshUniforms.rimLightPos.value.copy(rimLight.position);
     }
 
     // Update shader uniforms if faces mesh exists
@@ -382,8 +980,8 @@ function rotateSkybox(angle) {
     sky.rotation.y = (angle * Math.PI) / 180;
 
     // Update shader uniforms if assembled mesh exists
-    if (mesh && mesh.material && mesh.material.uniforms) {
-        mesh.material.uniforms.keyLightPos.value.copy(keyLight.position);
+    if (mesh && meshUniforms) {
+        meshUniforms.keyLightPos.value.copy(keyLight.position);
     }
 
     // Update shader uniforms if faces mesh exists
@@ -406,28 +1004,35 @@ function applySkyboxRotation(angle) {
 
 function updateVertexGeometry() {
     if (vertices) {
-        // Kill any running animations before updating geometry
-        gsap.killTweensOf(vertexScales);
-
-        // Update geometry with new size
+        // Update geometry with new size, keeping the per-instance attributes
+        // (start times, and part centres for the exploded view)
+        const geometry = new THREE.SphereGeometry(vertexSize, 5, 3);
+        for (const [name, attribute] of Object.entries(vertices.geometry.attributes)) {
+            if (attribute.isInstancedBufferAttribute) geometry.setAttribute(name, attribute);
+        }
         vertices.geometry.dispose();
-        vertices.geometry = new THREE.SphereGeometry(vertexSize, 5, 3);
+        vertices.geometry = geometry;
     }
 }
 
 // ===== Initialization =====
 console.log('Initializing...');
 console.log('vertex-size input element:', document.getElementById('vertex-size'));
-updateGeometry();
+updateGeometry().catch((error) => {
+    console.error('Error building the initial model:', error);
+    showLoadingError('Could not build the model. Please reload the page.');
+});
 rotateLights(lightingRotation);
-loadCustomModelsFromFile();
+loadCustomModelsFromFile().then(loadModelFromQuery);
 
 // ===== Event Listeners =====
 document.getElementById('shape-select').addEventListener('change', async (e) => {
+    stopAutoplay();
+    const previousShape = currentShape;
     currentShape = e.target.value;
 
     // Reset any OBJ-specific material when switching to primitives
-    if (!presetModels[currentShape] && currentShape !== 'obj') {
+    if (!presetModels[currentShape] && currentShape !== 'obj' && currentShape !== 'obj-folder') {
         currentGeometry = null;
         currentMaterial = null;
     }
@@ -437,172 +1042,823 @@ document.getElementById('shape-select').addEventListener('change', async (e) =>
         return;
     }
 
-    if (presetModels[currentShape]) {
-        await loadPresetModel(currentShape);
+    if (currentShape === 'obj-folder') {
+        document.getElementById('obj-folder').click();
         return;
     }
 
-    updateGeometry();
-    resetScene();
+    try {
+        if (presetModels[currentShape]) {
+            await loadPresetModel(currentShape);
+        } else {
+            await updateGeometry();
+            resetScene();
+        }
+    } catch (error) {
+        if (isCancelled(error)) {
+            // Cancelled preset load: the previous model is still showing
+            if (presetModels[currentShape]) {
+                currentShape = previousShape;
+                e.target.value = previousShape;
+            }
+            return;
+        }
+        // Nothing awaits this listener, so report here instead of rethrowing
+        console.error('Error switching model:', error);
+        showLoadingError(`Could not load the model: ${error.message || error}`);
+    }
 });
 
-document.getElementById('obj-file').addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (file) {
-        showLoading('Loading OBJ file...');
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            const objLoader = new OBJLoader();
-            try {
-                const object = objLoader.parse(event.target.result);
-                if (object.children.length > 0) {
-                    currentGeometry = object.children[0].geometry;
-                    currentMaterial = object.children[0].material || null;
-                    if (!currentGeometry) {
-                        currentGeometry = object.children[0];
-                    }
-                    updateGeometry();
-                    resetScene();
-                }
-            } catch (error) {
-                console.error('Error loading OBJ:', error);
-            } finally {
-                hideLoading();
-            }
+// Both pickers accept a model plus its companions (.mtl, textures, .bin buffers)
+['obj-file', 'obj-folder'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files);
+        // Allow re-selecting the same file
+        e.target.value = '';
+        if (files.length > 0) await loadModelFiles(files);
+    });
+});
 
-            // Check if model actually loaded by verifying vertices exist
-            if (!currentGeometry || currentGeometry.attributes.position.count === 0) {
-                alert('Error loading OBJ file. Make sure it\'s a valid OBJ file.');
-            }
-        };
-        reader.readAsText(file);
+/**
+ * Loads a model from a set of local files. The first file with a supported
+ * model extension is parsed; the rest are used to resolve its references.
+ * With `addToSession`, the model is also listed in the dropdown so it can be
+ * switched back to without picking the files again.
+ */
+async function loadModelFiles(files, { addToSession = false } = {}) {
+    const file = findModelFile(files);
+    if (!file) {
+        showLoadingError('No supported model file found. Choose an OBJ, glTF, GLB, STL, PLY or ZIP file.');
+        return;
+    }
+
+    let errorMessage = null;
+    showLoading(`Loading ${file.name}...`);
+    try {
+        const buffer = await file.arrayBuffer();
+        const { geometry, material } = await parseModel(buffer, file.name, createModelResources('', files));
+        // setModel may transform the geometry, so the session entry keeps its own copy
+        const sessionCopy = addToSession ? { geometry: geometry.clone(), material: cloneMaterial(material) } : null;
+        await setModel(geometry, material);
+        // Only list the model once it is actually showing
+        if (sessionCopy) addSessionModel(file.name, sessionCopy.geometry, sessionCopy.material);
+    } catch (error) {
+        if (isCancelled(error)) return;
+        console.error('Error loading model:', error);
+        errorMessage = error.message;
+    } finally {
+        hideLoading();
+    }
+
+    // A failed load leaves the previous model up, so an empty scene isn't the only sign
+    if (errorMessage || !currentGeometry || currentGeometry.attributes.position.count === 0) {
+        showLoadingError(errorMessage || 'Error loading model file. Make sure it\'s a valid OBJ, glTF, GLB, STL, PLY or ZIP file.');
     }
+}
+
+// Register an already-parsed model as a dropdown entry for the rest of the session
+let sessionModelCount = 0;
+function addSessionModel(title, geometry, material) {
+    const id = `session-${++sessionModelCount}`;
+    presetModels[id] = {
+        path: null,
+        baseGeometry: geometry.clone(),
+        baseMaterial: cloneMaterial(material)
+    };
+
+    const selectEl = document.getElementById('shape-select');
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = title;
+    // Keep "Load Model File" / "Load Model Folder" at the bottom
+    selectEl.insertBefore(option, selectEl.querySelector('option[value="obj"]'));
+    selectEl.value = id;
+    currentShape = id;
+}
+
+// ===== Drag & Drop Loading =====
+const canvasContainer = document.getElementById('canvas-container');
+
+canvasContainer.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    canvasContainer.classList.add('drag-over');
 });
 
-async function loadPresetModel(key) {
-    const preset = presetModels[key];
-    if (!preset) return;
+canvasContainer.addEventListener('dragleave', (e) => {
+    // Ignore leave events fired when moving between child elements
+    if (canvasContainer.contains(e.relatedTarget)) return;
+    canvasContainer.classList.remove('drag-over');
+});
 
-    if (!preset.baseGeometry) {
-        showLoading('Loading model...');
-        try {
-            const response = await fetch(preset.path);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch ${preset.path}: ${response.status}`);
-            }
+canvasContainer.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    canvasContainer.classList.remove('drag-over');
 
-            const objText = await response.text();
-            const objLoader = new OBJLoader();
-            const object = objLoader.parse(objText);
-            const meshChild = object.children.find(child => child.isMesh) || object.children[0];
+    const files = await getDroppedFiles(e.dataTransfer);
+    if (files.length > 0) await loadModelFiles(files, { addToSession: true });
+});
 
-            if (!meshChild || !meshChild.geometry) {
-                throw new Error('No mesh geometry found in OBJ file.');
-            }
+// Flatten dropped files and folders into a file list (model + companions)
+function getDroppedFiles(dataTransfer) {
+    // Entries must be read synchronously inside the drop event, before any await
+    const entries = Array.from(dataTransfer.items || [])
+        .map((item) => (item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+    if (entries.length === 0) return Promise.resolve(Array.from(dataTransfer.files));
 
-            preset.baseGeometry = meshChild.geometry.clone();
-            preset.baseMaterial = meshChild.material ? meshChild.material.clone() : null;
-        } catch (error) {
-            console.error('Error loading OBJ:', error);
-        } finally {
-            hideLoading();
-        }
+    const files = [];
+    return Promise.all(entries.map((entry) => collectEntryFiles(entry, files))).then(() => files);
+}
+
+async function collectEntryFiles(entry, files) {
+    if (entry.isFile) {
+        files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        return;
     }
+    if (!entry.isDirectory) return;
+
+    // readEntries returns children in batches until it yields an empty one
+    const reader = entry.createReader();
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) await collectEntryFiles(child, files);
+    } while (batch.length > 0);
+}
 
-    // Clone before modifying so cached geometry stays pristine
-    currentGeometry = preset.baseGeometry ? preset.baseGeometry.clone() : null;
-    currentMaterial = preset.baseMaterial ? preset.baseMaterial.clone() : null;
+// ===== Model Parsing =====
+// Supported model formats, keyed by lowercase file extension
+const modelFormats = {
+    obj: parseOBJ,
+    gltf: parseGLTF,
+    glb: parseGLTF,
+    stl: parseSTL,
+    ply: parsePLY,
+    zip: parseZip
+};
 
-    updateGeometry();
-    resetScene();
+// First file with a supported model extension; archives only when nothing else matches
+function findModelFile(files) {
+    return files.find((f) => getFileExtension(f.name) !== 'zip' && modelFormats[getFileExtension(f.name)])
+        || files.find((f) => getFileExtension(f.name) === 'zip');
+}
 
-    // Check if model actually loaded by verifying vertices exist
-    if (!currentGeometry || currentGeometry.attributes.position.count === 0) {
-        alert('Could not load the OBJ model. Please try again.');
-    }
+function getFileExtension(name) {
+    const clean = String(name).split(/[?#]/)[0];
+    const dot = clean.lastIndexOf('.');
+    return dot === -1 ? '' : clean.slice(dot + 1).toLowerCase();
 }
 
-async function loadCustomModelsFromFile() {
+// Directory part of a URL/path, used to resolve external glTF buffers and images
+function getBasePath(path) {
+    const clean = String(path).split(/[?#]/)[0];
+    return clean.slice(0, clean.lastIndexOf('/') + 1);
+}
+
+// Last path segment, accepting Windows separators as written by some exporters
+function getFileName(path) {
+    let clean = String(path).split(/[?#]/)[0];
     try {
-        const response = await fetch(customModelListPath);
-        if (!response.ok) {
-            console.warn(`Custom model list not found: ${customModelListPath} (${response.status})`);
-            return;
-        }
-        const data = await response.json();
-        if (!Array.isArray(data)) {
-            console.warn('models.json must be an array of { id, title, path }');
-            return;
-        }
+        clean = decodeURIComponent(clean);
+    } catch (error) {
+        // Not URI-encoded (e.g. a literal '%' in an archive entry name)
+    }
+    return clean.slice(Math.max(clean.lastIndexOf('/'), clean.lastIndexOf('\\')) + 1);
+}
 
-        const selectEl = document.getElementById('shape-select');
+// Object URLs handed to loaders for local companion files, revoked when the next model loads
+let modelObjectURLs = [];
+
+/**
+ * Resolves the files a model references (MTL libraries, textures, glTF buffers).
+ * With `files` given (a local pick), references are matched by file name against
+ * them; otherwise they are fetched relative to `basePath`.
+ */
+function createModelResources(basePath, files = null) {
+    const manager = new THREE.LoadingManager();
+    const fileMap = new Map();
+
+    if (files) {
+        modelObjectURLs.forEach((url) => URL.revokeObjectURL(url));
+        modelObjectURLs = [];
+        files.forEach((file) => fileMap.set(file.name.toLowerCase(), file));
+
+        manager.setURLModifier((url) => {
+            const file = fileMap.get(getFileName(url).toLowerCase());
+            if (!file) return url;
+            const objectURL = URL.createObjectURL(file);
+            modelObjectURLs.push(objectURL);
+            return objectURL;
+        });
+    }
 
-        data.forEach((item) => {
-            if (!item || !item.id || !item.path) return;
-            const id = String(item.id);
-            const title = item.title ? String(item.title) : id;
-            const path = String(item.path);
+    return {
+        basePath,
+        manager,
+        async readText(name) {
+            if (files) {
+                const file = fileMap.get(getFileName(name).toLowerCase());
+                return file ? file.text() : null;
+            }
+            const response = await fetch(basePath + name);
+            return response.ok ? response.text() : null;
+        }
+    };
+}
 
-            // Skip duplicates
-            if (presetModels[id]) return;
+/**
+ * Parses a model file into the geometry/material pair used by the visualizer.
+ * `data` is the raw ArrayBuffer, `name` is the file name or URL (its extension
+ * selects the parser) and `resources` (see createModelResources) resolves
+ * relative references.
+ */
+async function parseModel(data, name, resources = createModelResources(getBasePath(name))) {
+    const extension = getFileExtension(name);
+    const parser = modelFormats[extension];
+    if (!parser) {
+        throw new Error(`Unsupported model format: .${extension || '?'}`);
+    }
 
-            presetModels[id] = {
-                path,
-                baseGeometry: null,
-                baseMaterial: null
-            };
+    const object = await parser(data, resources);
+    const result = extractModelGeometry(object);
+    if (!result) {
+        throw new Error(`No mesh geometry found in ${name}.`);
+    }
+    return result;
+}
 
-            const option = document.createElement('option');
-            option.value = id;
-            option.textContent = title;
-            selectEl.appendChild(option);
+async function parseOBJ(data, resources) {
+    const { meshes, materialLibraries } = await runModelWorker('parseOBJ', data, [data]);
+    const materials = await loadOBJMaterials(materialLibraries, resources);
+
+    // Recreate the materials OBJLoader would have assigned, now that the MTL is available
+    const container = new THREE.Group();
+    meshes.forEach(({ name, geometry, materials: slots }) => {
+        const created = slots.map((slot) => {
+            const material = materials && materials.create(slot.name);
+            return material || new THREE.MeshPhongMaterial(slot);
         });
+        const mesh = new THREE.Mesh(deserializeGeometry(geometry), created.length > 1 ? created : created[0]);
+        mesh.name = name;
+        container.add(mesh);
+    });
+    return container;
+}
+
+// Load every `mtllib` the OBJ references; textures stream in through the resource manager
+async function loadOBJMaterials(libraries, resources) {
+    if (libraries.length === 0) return null;
 
-        // Ensure "Load OBJ File" is always at the bottom
-        const objOption = selectEl.querySelector('option[value="obj"]');
-        if (objOption) {
-            selectEl.appendChild(objOption); // Moves it to the end
+    let mtlText = '';
+    for (const library of libraries) {
+        const text = await resources.readText(library).catch(() => null);
+        if (text) {
+            mtlText += text + '\n';
+        } else {
+            console.warn(`Material library not found: ${library}`);
         }
-    } catch (error) {
-        console.warn('Failed to load custom models list:', error);
     }
+    if (!mtlText) return null;
+
+    const materials = new MTLLoader(resources.manager).parse(mtlText, resources.basePath);
+    materials.preload();
+    return materials;
 }
 
-document.getElementById('show-vertices').addEventListener('click', showVertices);
-document.getElementById('connect-edges').addEventListener('click', connectEdges);
-document.getElementById('form-faces').addEventListener('click', formFaces);
-document.getElementById('assemble-mesh').addEventListener('click', assembleMesh);
-document.getElementById('reset').addEventListener('click', resetScene);
+// A .zip bundle (e.g. OBJ + MTL + textures): unpacked in the worker, then the model
+// inside is parsed with its references resolved against the other archive entries
+async function parseZip(data) {
+    const entries = await runModelWorker('unzip', data, [data]);
+    const files = Object.entries(entries)
+        // Skip directories and macOS resource-fork entries
+        .filter(([path]) => !path.endsWith('/') && !path.startsWith('__MACOSX/') && !getFileName(path).startsWith('._'))
+        .map(([path, bytes]) => new File([bytes], getFileName(path)));
+
+    const file = findModelFile(files);
+    if (!file) {
+        throw new Error('No supported model file found in the archive.');
+    }
 
-// ===== Settings Panel Listeners =====
-document.getElementById('lighting-rotation').addEventListener('input', (e) => {
-    lightingRotation = parseFloat(e.target.value);
-    rotateLights(lightingRotation);
-    document.getElementById('lighting-rotation-value').textContent = lightingRotation + '°';
-});
+    const parser = modelFormats[getFileExtension(file.name)];
+    return parser(await file.arrayBuffer(), createModelResources('', files));
+}
 
-document.getElementById('skybox-rotation').addEventListener('input', (e) => {
-    skyboxRotation = parseFloat(e.target.value);
-    applySkyboxRotation(skyboxRotation);
-    document.getElementById('skybox-rotation-value').textContent = skyboxRotation + '°';
-});
+function parseGLTF(data, resources) {
+    // Handles both .gltf (JSON, embedded or external buffers) and .glb (binary container).
+    // No DRACOLoader is registered, so Draco-compressed files are rejected with an error.
+    // Stays on the main thread: its materials and textures need the DOM.
+    return new Promise((resolve, reject) => {
+        new GLTFLoader(resources.manager).parse(data, resources.basePath, (gltf) => resolve(gltf.scene), reject);
+    });
+}
 
-// Initial sync of controls to defaults
-rotateLights(lightingRotation);
-applySkyboxRotation(skyboxRotation);
-document.getElementById('lighting-rotation').value = lightingRotation;
-document.getElementById('lighting-rotation-value').textContent = lightingRotation + '°';
-document.getElementById('skybox-rotation').value = skyboxRotation;
-document.getElementById('skybox-rotation-value').textContent = skyboxRotation + '°';
+async function parseSTL(data) {
+    // Parsed and welded in the worker (STL stores three unshared vertices per triangle)
+    return deserializeGeometry(await runModelWorker('parseSTL', data, [data]));
+}
 
-// Reset settings to defaults
-document.getElementById('settings-reset').addEventListener('click', () => {
-    // Defaults
-    lightingRotation = 180;
+async function parsePLY(data) {
+    // Parsed in the worker; a PLY without faces comes back flagged as a point cloud
+    return deserializeGeometry(await runModelWorker('parsePLY', data, [data]));
+}
+
+function isPointCloud(geometry = currentGeometry) {
+    return !!(geometry && geometry.userData.isPointCloud);
+}
+
+/**
+ * Collects every mesh in a loaded object (each OBJ `o`/`g` block, each glTF node)
+ * into a single indexed geometry with transforms baked in. When there is more
+ * than one mesh, `geometry.userData.parts` records each part's vertex and index
+ * range so parts can be toggled individually.
+ */
+function extractModelGeometry(object) {
+    // Formats like STL parse straight to a geometry with no material
+    if (object.isBufferGeometry) {
+        return { geometry: object, material: null };
+    }
+
+    object.updateMatrixWorld(true);
+
+    const meshes = [];
+    object.traverse((child) => {
+        if (child.isMesh && child.geometry && child.geometry.attributes.position) meshes.push(child);
+    });
+    if (meshes.length === 0) return null;
+
+    if (meshes.length === 1) {
+        const geometry = meshes[0].geometry.clone();
+        geometry.applyMatrix4(meshes[0].matrixWorld);
+        if (!geometry.attributes.normal) geometry.computeVertexNormals();
+
+        // A material array only renders through geometry groups
+        let material = meshes[0].material || null;
+        if (Array.isArray(material) && geometry.groups.length === 0) material = material[0] || null;
+        return { geometry, material };
+    }
+
+    // Only attributes every part provides (with matching item size) survive the merge
+    const attributeNames = ['normal', 'uv', 'color'].filter((name) => meshes.every((child) => {
+        const attr = child.geometry.attributes[name];
+        return attr && attr.itemSize === meshes[0].geometry.attributes[name].itemSize;
+    }));
+
+    const parts = [];
+    const materials = [];
+    const groups = [];
+    const polygonIds = [];
+    let polygonOffset = 0;
+    let vertexStart = 0;
+    let indexStart = 0;
+    const partGeometries = meshes.map((child, i) => {
+        const geometry = prepareModelPart(child, attributeNames);
+        const indexCount = geometry.index.count;
+
+        // Polygon ids continue across parts; untagged parts count each triangle as a polygon
+        const partPolygons = child.geometry.userData.polygonIds;
+        for (let t = 0; t < indexCount / 3; t++) {
+            polygonIds.push(polygonOffset + (partPolygons ? partPolygons[t] : t));
+        }
+        polygonOffset = polygonIds.length > 0 ? polygonIds[polygonIds.length - 1] + 1 : 0;
+        parts.push({
+            name: child.name || `Part ${i + 1}`,
+            vertexStart,
+            vertexCount: geometry.attributes.position.count,
+            indexStart,
+            indexCount
+        });
+
+        // Carry each part's material groups (OBJ `usemtl` blocks) over into the merged geometry
+        const materialOffset = materials.length;
+        if (Array.isArray(child.material) && child.geometry.groups.length > 0) {
+            materials.push(...child.material);
+            child.geometry.groups.forEach((group) => {
+                groups.push({
+                    start: indexStart + group.start,
+                    count: Math.min(group.count, indexCount - group.start),
+                    materialIndex: materialOffset + (group.materialIndex || 0)
+                });
+            });
+        } else {
+            materials.push(Array.isArray(child.material) ? child.material[0] : child.material);
+            groups.push({ start: indexStart, count: indexCount, materialIndex: materialOffset });
+        }
+
+        vertexStart += geometry.attributes.position.count;
+        indexStart += indexCount;
+        return geometry;
+    });
+
+    const geometry = mergeBufferGeometries(partGeometries);
+    if (!geometry) return null;
+    if (!geometry.attributes.normal) geometry.computeVertexNormals();
+    groups.forEach((group) => geometry.addGroup(group.start, group.count, group.materialIndex));
+    geometry.userData.parts = parts;
+    geometry.userData.polygonIds = new Uint32Array(polygonIds);
+    return { geometry, material: materials.map((material) => material || null) };
+}
+
+// Materials may be a single material or an array matching geometry groups
+function cloneMaterial(material) {
+    if (Array.isArray(material)) return material.map(cloneMaterial);
+    return material ? material.clone() : null;
+}
+
+// Copy a mesh's geometry into plain indexed Float32 attributes in world space so parts merge cleanly
+function prepareModelPart(child, attributeNames) {
+    const source = child.geometry;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', toFloat32Attribute(source.attributes.position));
+    attributeNames.forEach((name) => geometry.setAttribute(name, toFloat32Attribute(source.attributes[name])));
+
+    const count = source.attributes.position.count;
+    const index = new Uint32Array(source.index ? source.index.count : count);
+    for (let i = 0; i < index.length; i++) {
+        index[i] = source.index ? source.index.getX(i) : i;
+    }
+    geometry.setIndex(new THREE.BufferAttribute(index, 1));
+
+    geometry.applyMatrix4(child.matrixWorld);
+    return geometry;
+}
+
+// Handles interleaved and normalized (e.g. glTF uint8/uint16) attributes
+function toFloat32Attribute(attr) {
+    const getters = ['getX', 'getY', 'getZ', 'getW'];
+    const array = new Float32Array(attr.count * attr.itemSize);
+    for (let i = 0; i < attr.count; i++) {
+        for (let k = 0; k < attr.itemSize; k++) {
+            array[i * attr.itemSize + k] = attr[getters[k]](i);
+        }
+    }
+    return new THREE.BufferAttribute(array, attr.itemSize);
+}
+
+// ===== Model Parts =====
+function getModelParts() {
+    return (currentGeometry && currentGeometry.userData.parts) || null;
+}
+
+function resetModelParts() {
+    const parts = getModelParts();
+    partVisibility = parts ? parts.map(() => true) : [];
+    renderPartsList();
+}
+
+function renderPartsList() {
+    const container = document.getElementById('model-parts');
+    if (!container) return;
+
+    const parts = getModelParts();
+    container.innerHTML = '';
+    container.hidden = !parts;
+    if (!parts) return;
+
+    parts.forEach((part, index) => {
+        const label = document.createElement('label');
+        label.title = part.name;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = partVisibility[index];
+        checkbox.addEventListener('change', () => setPartVisible(index, checkbox.checked));
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(part.name));
+        container.appendChild(label);
+    });
+}
+
+// Centroid of each part's vertices, and the part each geometry vertex belongs to
+function computePartCenters(geometry) {
+    const parts = geometry.userData.parts;
+    if (!parts) return null;
+
+    const positions = geometry.attributes.position;
+    const centers = new Float32Array(parts.length * 3);
+    const partOfVertex = new Uint32Array(positions.count);
+    parts.forEach((part, p) => {
+        for (let i = part.vertexStart; i < part.vertexStart + part.vertexCount; i++) {
+            partOfVertex[i] = p;
+            centers[p * 3] += positions.getX(i);
+            centers[p * 3 + 1] += positions.getY(i);
+            centers[p * 3 + 2] += positions.getZ(i);
+        }
+        for (let k = 0; k < 3; k++) centers[p * 3 + k] /= Math.max(part.vertexCount, 1);
+    });
+    return { centers, partOfVertex };
+}
+
+// Part centroid (xyz) for each welded vertex in `vertexIndices`, or null for single-part models
+function partCentersOf(vertexIndices) {
+    const parts = currentGeometry && computePartCenters(currentGeometry);
+    if (!parts) return null;
+
+    const centers = new Float32Array(vertexIndices.length * 3);
+    vertexIndices.forEach((vertex, i) => {
+        const part = parts.partOfVertex[vertexSourceIds[vertex]];
+        centers.set(parts.centers.subarray(part * 3, part * 3 + 3), i * 3);
+    });
+    return centers;
+}
+
+// Restrict a (cloned) geometry's index and material groups to the visible parts
+function applyVisibleParts(geometry) {
+    const parts = geometry.userData.parts;
+    if (!parts || partVisibility.every(Boolean)) return;
+
+    const isVisible = (start) => parts.some((part, p) =>
+        partVisibility[p] && start >= part.indexStart && start < part.indexStart + part.indexCount);
+
+    const indices = [];
+    const groups = [];
+    geometry.groups.forEach((group) => {
+        if (!isVisible(group.start)) return;
+        groups.push({ start: indices.length, count: group.count, materialIndex: group.materialIndex });
+        for (let i = group.start; i < group.start + group.count; i++) {
+            indices.push(geometry.index.getX(i));
+        }
+    });
+
+    geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(indices), 1));
+    geometry.clearGroups();
+    groups.forEach((group) => geometry.addGroup(group.start, group.count, group.materialIndex));
+}
+
+function setPartVisible(index, visible) {
+    partVisibility[index] = visible;
+    rebuildStages();
+}
+
+// Rebuild stage data (e.g. after a part or triangulation toggle), then restore
+// whichever stages were showing without re-animating them
+async function rebuildStages() {
+    try {
+        await extractData();
+    } catch (error) {
+        // Cancelled: keep showing the previous data
+        if (isCancelled(error)) return;
+        throw error;
+    }
+
+    const stages = [
+        ['show-vertices', showVertices],
+        ['connect-edges', connectEdges],
+        ['form-faces', formFaces],
+        ['assemble-mesh', assembleMesh]
+    ].filter(([id]) => document.getElementById(id).classList.contains('active'));
+
+    resetScene();
+
+    instantStages = true;
+    try {
+        stages.forEach(([, stage]) => stage());
+    } finally {
+        instantStages = false;
+    }
+}
+
+/**
+ * Loads a preset/URL model, fetching and parsing it on first use. Failures are
+ * reported in the loading overlay. Resolves to true when a model was loaded;
+ * rejects with an AbortError if the user cancels.
+ */
+async function loadPresetModel(key) {
+    const preset = presetModels[key];
+    if (!preset) return false;
+
+    let errorMessage = null;
+    if (!preset.baseGeometry) {
+        showLoading('Loading model...');
+        try {
+            const { geometry, material } = await fetchModel(preset.path, preset.format);
+            preset.baseGeometry = geometry;
+            preset.baseMaterial = cloneMaterial(material);
+        } catch (error) {
+            hideLoading();
+            if (isCancelled(error)) throw error;
+            console.error('Error loading model:', error);
+            errorMessage = error.message;
+        }
+    }
+
+    // Clone before modifying so cached geometry stays pristine
+    try {
+        await setModel(preset.baseGeometry ? preset.baseGeometry.clone() : null, cloneMaterial(preset.baseMaterial));
+    } finally {
+        hideLoading();
+    }
+
+    // Check if model actually loaded by verifying vertices exist
+    if (!currentGeometry || currentGeometry.attributes.position.count === 0) {
+        showLoadingError(errorMessage || 'Could not load the model. Please try again.');
+        return false;
+    }
+    return true;
+}
+
+// Fetch and parse a model by URL. `format` overrides the extension for URLs without one.
+async function fetchModel(path, format = null) {
+    let response;
+    try {
+        response = await fetch(path);
+    } catch (error) {
+        throw new Error(`Could not download ${path}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Could not download ${path} (HTTP ${response.status})`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    const name = format ? `model.${format}` : path;
+    try {
+        return await parseModel(buffer, name, createModelResources(getBasePath(path)));
+    } catch (error) {
+        // Keep cancellation recognisable (isCancelled); only real parse failures get wrapped
+        if (isCancelled(error)) throw error;
+        throw new Error(`Could not read ${getFileName(path) || path}: ${error.message}`);
+    }
+}
+
+// ===== URL Loading =====
+// index.html?model=<absolute or relative URL>[&format=obj|gltf|glb|stl|ply][&autoplay=1|loop]
+// autoplay=loop also works without a model, cycling through the preset models
+async function loadModelFromQuery() {
+    const params = new URLSearchParams(window.location.search);
+    const modelUrl = params.get('model');
+    const autoplay = (params.get('autoplay') || '').toLowerCase();
+    if (!modelUrl) {
+        if (autoplay === 'loop') startAutoplay();
+        return;
+    }
+
+    const id = 'url-model';
+    const format = params.get('format');
+    presetModels[id] = {
+        path: modelUrl,
+        format: format ? format.toLowerCase() : null,
+        baseGeometry: null,
+        baseMaterial: null
+    };
+
+    const selectEl = document.getElementById('shape-select');
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = getFileName(modelUrl) || modelUrl;
+    selectEl.insertBefore(option, selectEl.querySelector('option[value="obj"]'));
+    selectEl.value = id;
+    currentShape = id;
+
+    let loaded = false;
+    try {
+        loaded = await loadPresetModel(id);
+    } catch (error) {
+        if (!isCancelled(error)) throw error;
+    }
+    if (loaded && autoplay === 'loop') {
+        startAutoplay();
+    } else if (loaded && ['1', 'true', 'yes'].includes(autoplay)) {
+        await playAllStages();
+    }
+}
+
+// Play Vertices -> Edges -> Faces -> Mesh on the timeline from the start.
+// Resolves when the timeline finishes (or is replaced).
+function playAllStages() {
+    const timeline = buildStageTimeline();
+    if (!timeline) return Promise.resolve();
+    // GSAP never completes an empty timeline (all durations 0)
+    if (timeline.duration() === 0) {
+        timeline.progress(1);
+        syncStageTimeline();
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+        timeline.eventCallback('onComplete', () => {
+            updateTimelineControls();
+            resolve();
+        });
+        timeline.eventCallback('onInterrupt', resolve);
+        timeline.play(0);
+        updateTimelineControls();
+    });
+}
+
+async function loadCustomModelsFromFile() {
+    try {
+        const response = await fetch(customModelListPath);
+        if (!response.ok) {
+            console.warn(`Custom model list not found: ${customModelListPath} (${response.status})`);
+            return;
+        }
+        const data = await response.json();
+        if (!Array.isArray(data)) {
+            console.warn('models.json must be an array of { id, title, path }');
+            return;
+        }
+
+        const selectEl = document.getElementById('shape-select');
+
+        data.forEach((item) => {
+            if (!item || !item.id || !item.path) return;
+            const id = String(item.id);
+            const title = item.title ? String(item.title) : id;
+            const path = String(item.path);
+
+            // Skip duplicates
+            if (presetModels[id]) return;
+
+            presetModels[id] = {
+                path,
+                format: item.format ? String(item.format).toLowerCase() : null,
+                baseGeometry: null,
+                baseMaterial: null
+            };
+
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = title;
+            selectEl.appendChild(option);
+        });
+
+        // Ensure "Load Model File" / "Load Model Folder" are always at the bottom
+        ['obj', 'obj-folder'].forEach((value) => {
+            const option = selectEl.querySelector(`option[value="${value}"]`);
+            if (option) selectEl.appendChild(option); // Moves it to the end
+        });
+    } catch (error) {
+        console.warn('Failed to load custom models list:', error);
+    }
+}
+
+// Using a stage button takes over from the timeline
+[
+    ['show-vertices', showVertices],
+    ['connect-edges', connectEdges],
+    ['form-faces', formFaces],
+    ['assemble-mesh', assembleMesh]
+].forEach(([id, stage]) => {
+    document.getElementById(id).addEventListener('click', () => {
+        stopAutoplay();
+        stopStageTimeline();
+        if (revealOrder === 'camera') applyRevealOrder();
+        stage();
+    });
+});
+document.getElementById('reset').addEventListener('click', resetScene);
+
+// ===== Settings Panel Listeners =====
+document.getElementById('lighting-rotation').addEventListener('input', (e) => {
+    lightingRotation = parseFloat(e.target.value);
+    rotateLights(lightingRotation);
+    document.getElementById('lighting-rotation-value').textContent = lightingRotation + '°';
+});
+
+document.getElementById('skybox-rotation').addEventListener('input', (e) => {
+    skyboxRotation = parseFloat(e.target.value);
+    applySkyboxRotation(skyboxRotation);
+    document.getElementById('skybox-rotation-value').textContent = skyboxRotation + '°';
+});
+
+// Initial sync of controls to defaults
+rotateLights(lightingRotation);
+applySkyboxRotation(skyboxRotation);
+document.getElementById('lighting-rotation').value = lightingRotation;
+document.getElementById('lighting-rotation-value').textContent = lightingRotation + '°';
+document.getElementById('skybox-rotation').value = skyboxRotation;
+document.getElementById('skybox-rotation-value').textContent = skyboxRotation + '°';
+
+// Reset settings to defaults
+document.getElementById('settings-reset').addEventListener('click', () => {
+    // Defaults
+    lightingRotation = 180;
     skyboxRotation = 212;
     vertexSize = 0.05;
-    animationMaxTime = 2;
+    stageTiming = JSON.parse(JSON.stringify(DEFAULT_STAGE_TIMING));
+    saveStageTiming();
+    stageOverlap = 0;
+    autoplayHold = 3;
+    autoplayCycleModels = true;
+    cameraPathFollow = true;
+    setTurntableActive(false);
+    turntableSpeed = 20;
+    turntableElevation = 25;
+    edgeDrawMode.value = EDGE_DRAW_MODES.fade;
+    faceMotion.faceStyle.value = FACE_STYLES.dither;
+    setDissolveStyle('dither');
+    faceMotion.explode.value = 0;
+    faceMotion.explodeByPart.value = 0;
+    const orderChanged = revealOrder !== 'index';
+    revealOrder = 'index';
+    revealAxis = 'y';
+    revealSeed = 1;
+    revealSeedPoint = null;
     floorHelpersVisible = true;
+    const stagesChanged = showTriangulation || weldTolerance !== 0.0001;
+    showTriangulation = false;
+    weldTolerance = 0.0001;
 
     // Sliders + labels
     const lightSlider = document.getElementById('lighting-rotation');
@@ -620,9 +1876,36 @@ document.getElementById('settings-reset').addEventListener('click', () => {
     document.getElementById('vertex-size-value').textContent = vertexSize.toFixed(2);
     if (vertices) updateVertexGeometry();
 
-    const animSlider = document.getElementById('animation-max-time');
-    animSlider.value = animationMaxTime;
-    document.getElementById('animation-max-time-value').textContent = animationMaxTime + 's';
+    updateStageTimingControls();
+    document.getElementById('stage-overlap').value = stageOverlap;
+    document.getElementById('stage-overlap-value').textContent = formatStageOverlap(stageOverlap);
+    refreshStageTimeline();
+
+    document.getElementById('autoplay-hold').value = autoplayHold;
+    document.getElementById('autoplay-hold-value').textContent = autoplayHold.toFixed(1) + 's';
+    document.getElementById('autoplay-cycle').checked = autoplayCycleModels;
+    document.getElementById('camera-path-follow').checked = cameraPathFollow;
+    document.getElementById('turntable-speed').value = turntableSpeed;
+    document.getElementById('turntable-speed-value').textContent = turntableSpeed + '°/s';
+    document.getElementById('turntable-elevation').value = turntableElevation;
+    document.getElementById('turntable-elevation-value').textContent = turntableElevation + '°';
+    document.getElementById('edge-draw-mode').value = 'fade';
+    document.getElementById('face-style').value = 'dither';
+    document.getElementById('dissolve-style').value = 'dither';
+    document.getElementById('explode').value = 0;
+    document.getElementById('explode-value').textContent = '0%';
+    document.getElementById('explode-by').value = 'faces';
+    document.getElementById('reveal-order').value = revealOrder;
+    document.getElementById('reveal-axis').value = revealAxis;
+    document.getElementById('reveal-seed').value = revealSeed;
+    setPickingSeedVertex(false);
+    updateRevealOrderControls();
+    if (orderChanged) applyRevealOrder();
+
+    document.getElementById('triangulation-toggle').checked = false;
+    document.getElementById('weld-tolerance').value = weldTolerance;
+    document.getElementById('weld-tolerance-value').textContent = formatWeldTolerance(weldTolerance);
+    if (stagesChanged) rebuildStages();
 
     // Background color
     const bgInput = document.getElementById('bg-color');
@@ -670,9 +1953,192 @@ vertexSizeInput.addEventListener('input', (e) => {
 });
 console.log('vertex-size listener attached');
 
+// Anim Duration sets every stage at once; the per-stage controls below fine-tune one
 document.getElementById('animation-max-time').addEventListener('input', (e) => {
-    animationMaxTime = parseFloat(e.target.value);
-    document.getElementById('animation-max-time-value').textContent = animationMaxTime.toFixed(1) + 's';
+    const duration = parseFloat(e.target.value);
+    Object.values(stageTiming).forEach((timing) => {
+        timing.duration = duration;
+    });
+    saveStageTiming();
+    updateStageTimingControls();
+    refreshStageTimeline();
+});
+
+document.getElementById('timing-stage').addEventListener('change', updateStageTimingControls);
+
+document.getElementById('stage-duration').addEventListener('input', (e) => {
+    selectedStageTiming().duration = parseFloat(e.target.value);
+    saveStageTiming();
+    updateStageTimingControls();
+    refreshStageTimeline();
+});
+
+document.getElementById('item-duration').addEventListener('input', (e) => {
+    selectedStageTiming().itemDuration = parseFloat(e.target.value);
+    saveStageTiming();
+    updateStageTimingControls();
+    refreshStageTimeline();
+});
+
+document.getElementById('stage-ease').addEventListener('change', (e) => {
+    selectedStageTiming().ease = e.target.value;
+    saveStageTiming();
+    refreshStageTimeline();
+});
+
+function selectedStageTiming() {
+    return stageTiming[document.getElementById('timing-stage').value];
+}
+
+// Sync the timing sliders, badges and easing picker with stageTiming
+function updateStageTimingControls() {
+    const timing = selectedStageTiming();
+    // The shared slider shows the longest stage
+    const longest = Math.max(...Object.values(stageTiming).map((t) => t.duration));
+    document.getElementById('animation-max-time').value = longest;
+    document.getElementById('animation-max-time-value').textContent = longest.toFixed(1) + 's';
+
+    document.getElementById('stage-duration').value = timing.duration;
+    document.getElementById('stage-duration-value').textContent = timing.duration.toFixed(1) + 's';
+
+    const hasItems = timing.itemDuration !== undefined;
+    document.getElementById('item-duration-row').hidden = !hasItems;
+    if (hasItems) {
+        document.getElementById('item-duration').value = timing.itemDuration;
+        document.getElementById('item-duration-value').textContent = timing.itemDuration.toFixed(2) + 's';
+    }
+
+    // Saved eases that aren't in the picker still show up as an option
+    const easeSelect = document.getElementById('stage-ease');
+    if (!Array.from(easeSelect.options).some((option) => option.value === timing.ease)) {
+        easeSelect.add(new Option(timing.ease, timing.ease));
+    }
+    easeSelect.value = timing.ease;
+}
+updateStageTimingControls();
+
+document.getElementById('stage-overlap').addEventListener('input', (e) => {
+    stageOverlap = parseFloat(e.target.value);
+    document.getElementById('stage-overlap-value').textContent = formatStageOverlap(stageOverlap);
+    refreshStageTimeline();
+});
+
+function formatStageOverlap(value) {
+    return Math.round(value * 100) + '%';
+}
+
+let weldToleranceTimeout;
+document.getElementById('weld-tolerance').addEventListener('input', (e) => {
+    weldTolerance = parseFloat(e.target.value);
+    document.getElementById('weld-tolerance-value').textContent = formatWeldTolerance(weldTolerance);
+
+    // Debounce the re-weld to avoid lag while dragging
+    clearTimeout(weldToleranceTimeout);
+    weldToleranceTimeout = setTimeout(rebuildStages, 150);
+});
+
+function formatWeldTolerance(value) {
+    return value === 0 ? 'exact' : value.toFixed(4);
+}
+
+document.getElementById('dissolve-style').addEventListener('change', (e) => {
+    setDissolveStyle(e.target.value);
+});
+
+document.getElementById('face-style').addEventListener('change', (e) => {
+    faceMotion.faceStyle.value = FACE_STYLES[e.target.value];
+});
+
+document.getElementById('explode').addEventListener('input', (e) => {
+    faceMotion.explode.value = parseFloat(e.target.value);
+    document.getElementById('explode-value').textContent = Math.round(faceMotion.explode.value * 100) + '%';
+});
+
+document.getElementById('explode-by').addEventListener('change', (e) => {
+    faceMotion.explodeByPart.value = e.target.value === 'parts' ? 1 : 0;
+});
+
+document.getElementById('edge-draw-mode').addEventListener('change', (e) => {
+    edgeDrawMode.value = EDGE_DRAW_MODES[e.target.value];
+});
+
+document.getElementById('reveal-order').addEventListener('change', (e) => {
+    revealOrder = e.target.value;
+    if (revealOrder !== 'flood') setPickingSeedVertex(false);
+    updateRevealOrderControls();
+    applyRevealOrder();
+});
+
+document.getElementById('reveal-axis').addEventListener('change', (e) => {
+    revealAxis = e.target.value;
+    applyRevealOrder();
+});
+
+document.getElementById('reveal-seed').addEventListener('change', (e) => {
+    revealSeed = Math.max(0, parseInt(e.target.value, 10) || 0);
+    e.target.value = revealSeed;
+    applyRevealOrder();
+});
+
+document.getElementById('reveal-pick-seed').addEventListener('click', () => {
+    setPickingSeedVertex(!pickingSeedVertex);
+});
+
+// Only show the options of the selected order
+function updateRevealOrderControls() {
+    document.getElementById('reveal-axis-row').hidden = revealOrder !== 'sweep';
+    document.getElementById('reveal-seed-vertex-row').hidden = revealOrder !== 'flood';
+    document.getElementById('reveal-seed-row').hidden = revealOrder !== 'random';
+    document.getElementById('reveal-seed-vertex-value').textContent = revealSeedPoint ? 'Picked' : 'First';
+}
+
+function setPickingSeedVertex(picking) {
+    pickingSeedVertex = picking;
+    document.getElementById('reveal-pick-seed').classList.toggle('active', picking);
+    document.getElementById('reveal-pick-seed').textContent = picking ? 'Click model…' : 'Pick';
+    renderer.domElement.style.cursor = picking ? 'crosshair' : '';
+}
+
+// Nearest vertex to a click in screen space; the one closest to the camera wins
+// when several are under the cursor
+function pickVertexAt(clientX, clientY) {
+    const PICK_RADIUS = 16;  // px
+    const rect = renderer.domElement.getBoundingClientRect();
+    const point = new THREE.Vector3();
+    let picked = -1;
+    let pickedDepth = Infinity;
+    for (let i = 0; i < vertexCount; i++) {
+        point.fromArray(verticesData, i * 3).project(camera);
+        if (point.z < -1 || point.z > 1) continue;
+        const x = rect.left + (point.x + 1) / 2 * rect.width;
+        const y = rect.top + (1 - point.y) / 2 * rect.height;
+        if (Math.hypot(x - clientX, y - clientY) > PICK_RADIUS || point.z >= pickedDepth) continue;
+        picked = i;
+        pickedDepth = point.z;
+    }
+    return picked;
+}
+
+// A click (not an orbit drag) on the canvas picks the flood seed while picking is on
+let seedPointerDown = null;
+renderer.domElement.addEventListener('pointerdown', (e) => {
+    seedPointerDown = pickingSeedVertex ? { x: e.clientX, y: e.clientY } : null;
+});
+renderer.domElement.addEventListener('pointerup', (e) => {
+    if (!seedPointerDown || Math.hypot(e.clientX - seedPointerDown.x, e.clientY - seedPointerDown.y) > 5) return;
+    seedPointerDown = null;
+
+    const picked = pickVertexAt(e.clientX, e.clientY);
+    if (picked < 0) return;
+    revealSeedPoint = new THREE.Vector3().fromArray(verticesData, picked * 3);
+    setPickingSeedVertex(false);
+    updateRevealOrderControls();
+    applyRevealOrder();
+});
+
+document.getElementById('triangulation-toggle').addEventListener('change', (e) => {
+    showTriangulation = e.target.checked;
+    rebuildStages();
 });
 
 document.getElementById('toggle-floor-helpers').addEventListener('click', () => {
@@ -778,6 +2244,13 @@ function autoScaleAndPositionModel(geometry) {
         posAttr.needsUpdate = true;
     }
 
+    // Accumulate what was applied (this runs again on recenter) so exports can undo it
+    const applied = geometry.userData.normalization || { scale: 1, offsetY: 0 };
+    geometry.userData.normalization = {
+        scale: applied.scale * scaleFactor,
+        offsetY: applied.offsetY * scaleFactor + (Math.abs(verticalOffset) > 0.0001 ? verticalOffset : 0)
+    };
+
     // Verify final position and calculate center
     geometry.computeBoundingBox();
     const finalBbox = geometry.boundingBox;
@@ -820,7 +2293,7 @@ function autoScaleAndPositionModel(geometry) {
     return { center: bboxCenter, distance: cameraDistance };
 }
 
-function updateGeometry() {
+async function updateGeometry() {
     if (!currentGeometry) {
         const shapeFactory = shapeGeometries[currentShape];
         if (shapeFactory) {
@@ -836,13 +2309,32 @@ function updateGeometry() {
     const result = autoScaleAndPositionModel(currentGeometry);
     const { center, distance } = result;
 
+    resetModelParts();
+    await extractData();
+
     // Use centralized camera update
     updateCameraView(center, distance);
-
-    extractData();
     updateInfo();
 }
 
+// Swap in a new model. If its processing is cancelled, the previous model stays up.
+async function setModel(geometry, material) {
+    const previous = [currentGeometry, currentMaterial, partVisibility];
+    // clone() shares userData by reference; give this copy its own so the
+    // normalization recorded below doesn't leak back into cached geometry
+    if (geometry) geometry.userData = { ...geometry.userData };
+    currentGeometry = geometry;
+    currentMaterial = material;
+    try {
+        await updateGeometry();
+    } catch (error) {
+        [currentGeometry, currentMaterial, partVisibility] = previous;
+        renderPartsList();
+        throw error;
+    }
+    resetScene();
+}
+
 function updateCameraView(center, distance) {
     // Update camera target to center on the model
     controls.target.copy(center);
@@ -854,51 +2346,65 @@ function updateCameraView(center, distance) {
     controls.update();
 }
 
-function extractData() {
+/**
+ * Welds vertices and builds the vertex/edge/face stage data for currentGeometry
+ * in the model worker (see extractMeshData). Stage data is only replaced once the
+ * worker finishes, so a cancelled run leaves the previous data in place.
+ */
+async function extractData() {
     if (!currentGeometry) return;
 
-    // Extract vertices
     const posAttr = currentGeometry.attributes.position;
-    verticesData = [];
+    const positions = new Float32Array(posAttr.count * 3);
     for (let i = 0; i < posAttr.count; i++) {
-        verticesData.push(new THREE.Vector3().fromBufferAttribute(posAttr, i));
-    }
-
-    // Extract faces (triangles)
-    facesData = [];
-    if (currentGeometry.index) {
-        for (let i = 0; i < currentGeometry.index.count; i += 3) {
-            facesData.push([
-                currentGeometry.index.array[i],
-                currentGeometry.index.array[i + 1],
-                currentGeometry.index.array[i + 2]
-            ]);
-        }
-    } else {
-        for (let i = 0; i < posAttr.count; i += 3) {
-            facesData.push([i, i + 1, i + 2]);
-        }
+        positions[i * 3] = posAttr.getX(i);
+        positions[i * 3 + 1] = posAttr.getY(i);
+        positions[i * 3 + 2] = posAttr.getZ(i);
+    }
+    const index = currentGeometry.index ? Uint32Array.from(currentGeometry.index.array) : null;
+    const input = {
+        positions,
+        index,
+        parts: getModelParts(),
+        partVisibility,
+        polygonIds: currentGeometry.userData.polygonIds || null,
+        pointCloud: isPointCloud(),
+        weldTolerance,
+        showTriangulation
+    };
+
+    const showOverlay = posAttr.count > LARGE_MODEL_VERTICES && !isLoadingVisible();
+    if (showOverlay) showLoading('Processing model...');
+    let data;
+    try {
+        data = await runModelWorker('extract', input, index ? [positions.buffer, index.buffer] : [positions.buffer]);
+    } finally {
+        if (showOverlay) hideLoading();
     }
 
-    // Extract edges from faces
-    const edgeSet = new Set();
-    facesData.forEach(face => {
-        const [a, b, c] = face;
-        const edgeList = [
-            [Math.min(a, b), Math.max(a, b)],
-            [Math.min(b, c), Math.max(b, c)],
-            [Math.min(c, a), Math.max(c, a)]
-        ];
-        edgeList.forEach(e => edgeSet.add(`${e[0]}-${e[1]}`));
-    });
-    edgesData = Array.from(edgeSet).map(s => s.split('-').map(Number));
+    verticesData = data.positions;
+    edgesData = data.edges;
+    facesData = data.faces;
+    vertexCount = verticesData.length / 3;
+    edgeCount = edgesData.length / 2;
+    faceCount = facesData.length / 3;
+    vertexSourceIds = data.sourceIds;
+    rawVertexCount = data.rawVertexCount;
+    facePolygonIds = data.facePolygonIds;
+    polygonCount = data.polygonCount;
 }
 
-function showVertices() {
-    if (!vertices) {
-        // Create InstancedMesh for all vertices (one draw call)
-        const geometry = new THREE.SphereGeometry(vertexSize, 5, 3);
-        const material = new THREE.MeshStandardMaterial({
+// Create the InstancedMesh for all vertices (one draw call), initially hidden
+function createVerticesMesh() {
+    if (vertices) return;
+
+    const geometry = new THREE.SphereGeometry(vertexSize, 5, 3);
+    const colorAttr = currentGeometry && currentGeometry.attributes.color;
+
+    // Vertex-colored models (e.g. scanned PLY data) show their own colors unlit
+    const material = colorAttr
+        ? new THREE.MeshBasicMaterial({ color: 0xffffff })
+        : new THREE.MeshStandardMaterial({
             color: 0xff0000,
             emissive: new THREE.Color(0xff0000),
             emissiveIntensity: 0.5,
@@ -906,686 +2412,1352 @@ function showVertices() {
             roughness: 0.6,
             envMapIntensity: 0.8
         });
-        vertices = new THREE.InstancedMesh(geometry, material, verticesData.length);
-        // Expose for debugging/inspection
-        window.verticesMesh = vertices;
-        vertices.castShadow = true;
-        vertices.receiveShadow = true;
-        vertices.visible = false;
-        scene.add(vertices);
-
-        // Initialize vertex scales and matrices
-        vertexScales = verticesData.map(() => 0);
-        const matrix = new THREE.Matrix4();
-        verticesData.forEach((pos, index) => {
-            matrix.compose(
-                pos,
-                new THREE.Quaternion(),
-                new THREE.Vector3(0, 0, 0)
-            );
-            vertices.setMatrixAt(index, matrix);
-        });
+
+    // Scale each sphere about its center by its reveal visibility
+    vertexReveal = createRevealUniforms();
+    updateModelBounds();
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, vertexReveal, faceMotion, modelBounds);
+        shader.vertexShader = STAGE_REVEAL_GLSL + EXPLODE_GLSL + shader.vertexShader.replace(
+            '#include <begin_vertex>',
+            '#include <begin_vertex>\n    transformed = transformed * stageVisibility() * (1.0 - explodeHides()) + partExplodeOffset();'
+        );
+    };
+
+    vertices = new THREE.InstancedMesh(geometry, material, vertexCount);
+    if (colorAttr) {
+        const color = new THREE.Color();
+        for (let i = 0; i < vertexCount; i++) {
+            vertices.setColorAt(i, color.fromBufferAttribute(colorAttr, vertexSourceIds[i]));
+        }
     }
+    // Expose for debugging/inspection
+    window.verticesMesh = vertices;
+    vertices.castShadow = true;
+    vertices.receiveShadow = true;
+    vertices.visible = false;
+    scene.add(vertices);
+
+    // Matrices only place each sphere; scaling happens in the shader
+    const matrix = new THREE.Matrix4();
+    for (let i = 0; i < vertexCount; i++) {
+        matrix.makeTranslation(verticesData[i * 3], verticesData[i * 3 + 1], verticesData[i * 3 + 2]);
+        vertices.setMatrixAt(i, matrix);
+    }
+    geometry.setAttribute('startTime', new THREE.InstancedBufferAttribute(vertexStartTimes(), 1));
+
+    const partCenters = partCentersOf(Uint32Array.from({ length: vertexCount }, (value, i) => i));
+    if (partCenters) {
+        geometry.setAttribute('partCenter', new THREE.InstancedBufferAttribute(partCenters, 3));
+        material.defines = { EXPLODE_PARTS: '' };
+    }
+}
+
+function showVertices() {
+    createVerticesMesh();
 
     // Kill any running animations
-    gsap.killTweensOf(vertexScales);
+    if (activeVerticesTween) activeVerticesTween.kill();
 
-    // Calculate proportional delays
-    const BASE_DURATION = 0.5;
-    const MAX_TIME = animationMaxTime;
-    const itemCount = verticesData.length;
-    const effectiveDuration = Math.min(BASE_DURATION, MAX_TIME);
-    const delayPerItem = itemCount > 1 ? Math.max(0, (MAX_TIME - effectiveDuration) / (itemCount - 1)) : 0;
 
     // Instant feedback
     const btn = document.getElementById('show-vertices');
     if (btn) btn.classList.toggle('active', !vertices.visible);
 
     if (!vertices.visible) {
-        // Show with animation
-        verticesData.forEach((pos, index) => {
-            vertexScales[index] = 0;
-            const matrix = new THREE.Matrix4();
-            matrix.compose(pos, new THREE.Quaternion(), new THREE.Vector3(0, 0, 0));
-            vertices.setMatrixAt(index, matrix);
-        });
-        vertices.instanceMatrix.needsUpdate = true;
         vertices.visible = true;
-
-        if (MAX_TIME === 0) {
-            verticesData.forEach((pos, index) => {
-                const matrix = new THREE.Matrix4();
-                matrix.compose(pos, new THREE.Quaternion(), new THREE.Vector3(1, 1, 1));
-                vertices.setMatrixAt(index, matrix);
-            });
-            vertices.instanceMatrix.needsUpdate = true;
-        } else {
-            // Performance Fix: Single tween driving all instances instead of N tweens
-            const animData = { progress: 0 };
-
-            // Kill previous animation
-            if (activeVerticesTween) activeVerticesTween.kill();
-
-            activeVerticesTween = gsap.to(animData, {
-                progress: 1,
-                duration: effectiveDuration + (verticesData.length * delayPerItem), // Total time covers all staggers
-                ease: "none",
-                onUpdate: () => {
-                    if (!vertices) return;
-
-                    const currentTime = animData.progress * (effectiveDuration + (verticesData.length * delayPerItem));
-                    let needsUpdate = false;
-
-                    for (let i = 0; i < verticesData.length; i++) {
-                        // Calculate local progress for this item based on its start time
-                        const startTime = i * delayPerItem;
-                        // Map global time to local 0-1 factor
-                        let factor = (currentTime - startTime) / effectiveDuration;
-                        factor = Math.max(0, Math.min(1, factor)); // Clamp 0-1
-
-                        // Optimization: Only update if changing or not yet final
-                        // (Use tracking array to avoid redundant updates if desired, but this math is cheap)
-
-                        const scale = factor;
-                        const matrix = new THREE.Matrix4();
-                        matrix.compose(
-                            verticesData[i],
-                            new THREE.Quaternion(),
-                            new THREE.Vector3(scale, scale, scale)
-                        );
-                        vertices.setMatrixAt(i, matrix);
-                        needsUpdate = true;
-                    }
-
-                    if (needsUpdate) {
-                        vertices.instanceMatrix.needsUpdate = true;
-                    }
-                },
-                onComplete: () => {
-                    activeVerticesTween = null;
-                }
-            });
-        }
+        activeVerticesTween = playReveal(vertexReveal, 'vertices', vertexCount, false, () => {
+            activeVerticesTween = null;
+        });
     } else {
-        // Hide with reverse animation
-        if (MAX_TIME === 0) {
-            vertices.visible = false;
-        } else {
-            const animData = { progress: 0 };
-            const totalDuration = effectiveDuration + (verticesData.length * delayPerItem);
-
-            // Kill previous animation
-            if (activeVerticesTween) activeVerticesTween.kill();
-
-            activeVerticesTween = gsap.to(animData, {
-                progress: 1,
-                duration: totalDuration,
-                ease: "none",
-                onUpdate: () => {
-                    if (!vertices) return;
-
-                    const currentTime = animData.progress * totalDuration;
-                    let needsUpdate = false;
-
-                    for (let i = 0; i < verticesData.length; i++) {
-                        // Reverse index logic: last item starts first
-                        const reverseIndex = (verticesData.length - 1) - i;
-                        const startTime = i * delayPerItem; // Linear delay based on loop index
-
-                        // Map to local 0-1 factor (reversed: 1 -> 0)
-                        let factor = (currentTime - startTime) / effectiveDuration;
-                        factor = 1 - Math.max(0, Math.min(1, factor)); // Invert for hiding
-
-                        const scale = factor;
-                        const matrix = new THREE.Matrix4();
-                        matrix.compose(
-                            verticesData[reverseIndex], // Use reverseIndex for position to match visual 'unzipping'
-                            new THREE.Quaternion(),
-                            new THREE.Vector3(scale, scale, scale)
-                        );
-                        vertices.setMatrixAt(reverseIndex, matrix);
-                        needsUpdate = true;
-                    }
-
-                    if (needsUpdate) {
-                        vertices.instanceMatrix.needsUpdate = true;
-                    }
-                },
-                onComplete: () => {
-                    if (vertices) vertices.visible = false;
-                    activeVerticesTween = null;
-                }
-            });
-        }
+        // Hide in reverse order
+        activeVerticesTween = playReveal(vertexReveal, 'vertices', vertexCount, true, () => {
+            if (vertices) vertices.visible = false;
+            activeVerticesTween = null;
+        });
     }
 }
 
-function connectEdges() {
-    // Ensure geometry/data is available independent of vertices mesh
-    if (!currentGeometry) {
-        updateGeometry();
-        if (!currentGeometry) return;
-    }
-    if (!verticesData || verticesData.length === 0 || !edgesData || edgesData.length === 0) {
-        extractData();
-    }
-
-    if (!edgesMesh) {
-        // Merge all edges into single geometry
-        const positions = [];
-        const visibilityArray = [];
-
-        edgesData.forEach((edge, edgeIndex) => {
-            const p1 = verticesData[edge[0]];
-            const p2 = verticesData[edge[1]];
+// Merge all edges into a single LineSegments mesh, initially hidden
+function createEdgesMesh() {
+    if (edgesMesh || !currentGeometry || isPointCloud()) return;
 
-            // Add two vertices per line
-            positions.push(p1.x, p1.y, p1.z);
-            positions.push(p2.x, p2.y, p2.z);
+    // Two vertices per line, both sharing the edge's start time
+    const positions = new Float32Array(edgeCount * 6);
+    for (let i = 0; i < edgesData.length; i++) {
+        positions.set(verticesData.subarray(edgesData[i] * 3, edgesData[i] * 3 + 3), i * 3);
+    }
 
-            // Both vertices of the line share same visibility for this edge
-            visibilityArray.push(0, 0);
-        });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('startTime', new THREE.BufferAttribute(edgeStartTimes(), 1));
+    geometry.setAttribute('edgeParam', new THREE.BufferAttribute(edgeDrawParams(), 1));
+    updateModelBounds();
+
+    // Clone the material for this instance
+    const material = edgeShaderMaterial.clone();
+    edgeReveal = createRevealUniforms();
+    Object.assign(material.uniforms, edgeReveal, faceMotion, modelBounds, { edgeDrawMode });
+    const partCenters = partCentersOf(edgesData);
+    if (partCenters) {
+        geometry.setAttribute('partCenter', new THREE.BufferAttribute(partCenters, 3));
+        material.defines = { EXPLODE_PARTS: '' };
+    }
+    edgesMesh = new THREE.LineSegments(geometry, material);
+    edgesMesh.visible = false;
+    scene.add(edgesMesh);
+}
 
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
-        geometry.setAttribute('visibility', new THREE.BufferAttribute(new Float32Array(visibilityArray), 1));
+function connectEdges() {
+    if (isPointCloud()) return;
 
-        // Clone the material for this instance
-        const material = edgeShaderMaterial.clone();
-        edgesMesh = new THREE.LineSegments(geometry, material);
-        edgesMesh.visible = false;
-        scene.add(edgesMesh);
+    // Stage data is extracted when the model loads
+    if (!currentGeometry) return;
 
-        // Initialize visibility tracking
-        edgeVisibility = edgesData.map(() => 0);
-    }
+    createEdgesMesh();
 
     // Kill any running animations
-    gsap.killTweensOf(edgeVisibility);
+    if (activeEdgesTween) activeEdgesTween.kill();
 
-    // Calculate proportional delays
-    const BASE_DURATION = 0.3;
-    const MAX_TIME = animationMaxTime;
-    const itemCount = edgesData.length;
-    const effectiveDuration = Math.min(BASE_DURATION, MAX_TIME);
-    const delayPerItem = itemCount > 1 ? Math.max(0, (MAX_TIME - effectiveDuration) / (itemCount - 1)) : 0;
-    const geometry = edgesMesh.geometry;
 
     // Instant feedback
     const btn = document.getElementById('connect-edges');
     if (btn) btn.classList.toggle('active', !edgesMesh.visible);
 
     if (!edgesMesh.visible) {
-        // Show with animation
-        edgesData.forEach((edge, edgeIndex) => {
-            edgeVisibility[edgeIndex] = 0;
-            const visAttr = geometry.attributes.visibility.array;
-            visAttr[edgeIndex * 2] = 0;
-            visAttr[edgeIndex * 2 + 1] = 0;
-        });
-        geometry.attributes.visibility.needsUpdate = true;
         edgesMesh.visible = true;
-
-        if (MAX_TIME === 0) {
-            edgesData.forEach((edge, edgeIndex) => {
-                edgeVisibility[edgeIndex] = 1;
-                const visAttr = geometry.attributes.visibility.array;
-                visAttr[edgeIndex * 2] = 1;
-                visAttr[edgeIndex * 2 + 1] = 1;
-            });
-            geometry.attributes.visibility.needsUpdate = true;
-        } else {
-            // Performance Fix: Single tween driving all instances
-            const animData = { progress: 0 };
-            const totalDuration = effectiveDuration + (edgesData.length * delayPerItem);
-
-            // Kill previous animation
-            if (activeEdgesTween) activeEdgesTween.kill();
-
-            activeEdgesTween = gsap.to(animData, {
-                progress: 1,
-                duration: totalDuration,
-                ease: "none",
-                onUpdate: () => {
-                    const currentTime = animData.progress * totalDuration;
-                    const visAttr = geometry.attributes.visibility.array;
-                    let needsUpdate = false;
-
-                    for (let i = 0; i < edgesData.length; i++) {
-                        const startTime = i * delayPerItem;
-                        let val = (currentTime - startTime) / effectiveDuration;
-                        val = Math.max(0, Math.min(1, val));
-
-                        edgeVisibility[i] = val;
-                        visAttr[i * 2] = val;
-                        visAttr[i * 2 + 1] = val;
-                        needsUpdate = true;
-                    }
-                    if (needsUpdate) {
-                        geometry.attributes.visibility.needsUpdate = true;
-                    }
-                },
-                onComplete: () => {
-                    activeEdgesTween = null;
-                }
-            });
-        }
+        activeEdgesTween = playReveal(edgeReveal, 'edges', edgeCount, false, () => {
+            activeEdgesTween = null;
+        });
     } else {
-        // Hide with reverse animation
-        if (MAX_TIME === 0) {
-            edgesMesh.visible = false;
-        } else {
-            // Performance Fix: Single tween driving all instances (Reverse)
-            const animData = { progress: 0 };
-            const totalDuration = effectiveDuration + (edgesData.length * delayPerItem);
-
-            // Kill previous animation
-            if (activeEdgesTween) activeEdgesTween.kill();
-
-            activeEdgesTween = gsap.to(animData, {
-                progress: 1,
-                duration: totalDuration,
-                ease: "none",
-                onUpdate: () => {
-                    if (!edgesMesh) return;
-                    const currentTime = animData.progress * totalDuration;
-                    const visAttr = geometry.attributes.visibility.array;
-                    let needsUpdate = false;
-
-                    for (let i = 0; i < edgesData.length; i++) {
-                        // Reverse index logic
-                        const reverseIndex = (edgesData.length - 1) - i;
-                        const startTime = i * delayPerItem;
-
-                        let val = (currentTime - startTime) / effectiveDuration;
-                        val = 1 - Math.max(0, Math.min(1, val)); // Invert
-
-                        edgeVisibility[reverseIndex] = val;
-                        visAttr[reverseIndex * 2] = val;
-                        visAttr[reverseIndex * 2 + 1] = val;
-                        needsUpdate = true;
-                    }
-                    if (needsUpdate) {
-                        geometry.attributes.visibility.needsUpdate = true;
-                    }
-                },
-                onComplete: () => {
-                    if (edgesMesh) edgesMesh.visible = false;
-                    activeEdgesTween = null;
-                }
-            });
-        }
+        // Hide in reverse order
+        activeEdgesTween = playReveal(edgeReveal, 'edges', edgeCount, true, () => {
+            if (edgesMesh) edgesMesh.visible = false;
+            activeEdgesTween = null;
+        });
     }
 }
 
-function formFaces() {
-    // Ensure geometry/data is available independent of vertices mesh
-    if (!currentGeometry) {
-        updateGeometry();
-        if (!currentGeometry) return;
-    }
-    if (!verticesData || verticesData.length === 0 || !facesData || facesData.length === 0) {
-        extractData();
+// Merge all faces into outside/inside meshes, initially hidden
+function createFacesMesh() {
+    if (facesMesh || !currentGeometry || isPointCloud()) return;
+
+    // Three vertices per triangle
+    const positions = new Float32Array(faceCount * 9);
+    for (let i = 0; i < facesData.length; i++) {
+        positions.set(verticesData.subarray(facesData[i] * 3, facesData[i] * 3 + 3), i * 3);
     }
 
-    if (!facesMesh) {
-        // Merge all faces into single geometry
-        const positions = [];
-        const visibilityArray = [];
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('startTime', new THREE.BufferAttribute(faceStartTimes(), 1));
+    geometry.computeVertexNormals();
+    setFaceMotionAttributes(geometry);
+    updateModelBounds();
+
+    // Both passes share one set of reveal uniforms
+    faceReveal = createRevealUniforms();
+    const defines = geometry.attributes.partCenter ? { EXPLODE_PARTS: '' } : {};
+
+    // Outside pass: front faces only, writes depth (occludes inside)
+    const outsideMaterial = faceShaderMaterial.clone();
+    Object.assign(outsideMaterial.uniforms, faceReveal, faceMotion, modelBounds);
+    outsideMaterial.defines = defines;
+    outsideMaterial.side = THREE.FrontSide;
+    outsideMaterial.uniforms.inside.value = 0.0;
+    outsideMaterial.uniforms.keyLightPos.value.copy(keyLight.position);
+    outsideMaterial.uniforms.rimLightPos.value.copy(rimLight.position);
+    facesMesh = new THREE.Mesh(geometry, outsideMaterial);
+    facesMesh.renderOrder = 1; // draw before assembled mesh
+    facesMesh.visible = false;
+    scene.add(facesMesh);
+
+    // Inside pass: back faces only, draws after outside
+    const insideMaterial = faceShaderMaterial.clone();
+    Object.assign(insideMaterial.uniforms, faceReveal, faceMotion, modelBounds);
+    insideMaterial.defines = defines;
+    insideMaterial.side = THREE.BackSide;
+    insideMaterial.uniforms.inside.value = 1.0;
+    // Push inside slightly back in depth to avoid silhouette leakage
+    insideMaterial.polygonOffset = true;
+    insideMaterial.polygonOffsetFactor = 2;
+    insideMaterial.polygonOffsetUnits = 2;
+    insideMaterial.uniforms.keyLightPos.value.copy(keyLight.position);
+    insideMaterial.uniforms.rimLightPos.value.copy(rimLight.position);
+    facesInnerMesh = new THREE.Mesh(geometry, insideMaterial);
+    facesInnerMesh.renderOrder = 1.05;
+    facesInnerMesh.visible = false;
+    scene.add(facesInnerMesh);
+}
 
-        facesData.forEach((face, faceIndex) => {
-            const v0 = verticesData[face[0]];
-            const v1 = verticesData[face[1]];
-            const v2 = verticesData[face[2]];
+/**
+ * Per-vertex polygon centroid and normal for the (non-indexed) faces geometry, so
+ * every triangle of a polygon flies and explodes as one piece, plus the part
+ * centroid for multi-part models.
+ */
+function setFaceMotionAttributes(geometry) {
+    const positions = geometry.attributes.position.array;
+    const centers = new Float32Array(polygonCount * 3);
+    const normals = new Float32Array(polygonCount * 3);
+    const counts = new Uint32Array(polygonCount);
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+
+    for (let face = 0; face < faceCount; face++) {
+        const polygon = facePolygonIds[face];
+        a.fromArray(positions, face * 9);
+        b.fromArray(positions, face * 9 + 3);
+        c.fromArray(positions, face * 9 + 6);
+        for (let k = 0; k < 3; k++) centers[polygon * 3 + k] += a.getComponent(k) + b.getComponent(k) + c.getComponent(k);
+        counts[polygon] += 3;
+        // Unnormalized cross product: bigger triangles weigh more
+        c.sub(b);
+        b.sub(a);
+        b.cross(c);
+        for (let k = 0; k < 3; k++) normals[polygon * 3 + k] += b.getComponent(k);
+    }
 
-            // Add three vertices per triangle
-            positions.push(v0.x, v0.y, v0.z);
-            positions.push(v1.x, v1.y, v1.z);
-            positions.push(v2.x, v2.y, v2.z);
+    const faceCenters = new Float32Array(faceCount * 9);
+    const faceNormals = new Float32Array(faceCount * 9);
+    for (let i = 0; i < faceCount * 3; i++) {
+        const polygon = facePolygonIds[Math.floor(i / 3)];
+        a.fromArray(centers, polygon * 3).divideScalar(Math.max(counts[polygon], 1)).toArray(faceCenters, i * 3);
+        a.fromArray(normals, polygon * 3).normalize().toArray(faceNormals, i * 3);
+    }
+    geometry.setAttribute('faceCenter', new THREE.BufferAttribute(faceCenters, 3));
+    geometry.setAttribute('faceNormal', new THREE.BufferAttribute(faceNormals, 3));
+
+    // Each triangle moves with the part of its first vertex
+    const parts = computePartCenters(currentGeometry);
+    if (parts) {
+        const partCenters = new Float32Array(faceCount * 9);
+        for (let i = 0; i < faceCount * 3; i++) {
+            const part = parts.partOfVertex[vertexSourceIds[facesData[Math.floor(i / 3) * 3]]];
+            partCenters.set(parts.centers.subarray(part * 3, part * 3 + 3), i * 3);
+        }
+        geometry.setAttribute('partCenter', new THREE.BufferAttribute(partCenters, 3));
+    }
+}
 
-            // All three vertices of the triangle share same visibility for this face
-            visibilityArray.push(0, 0, 0);
-        });
+function formFaces() {
+    if (isPointCloud()) return;
 
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
-        geometry.setAttribute('visibility', new THREE.BufferAttribute(new Float32Array(visibilityArray), 1));
-        geometry.computeVertexNormals();
+    // Stage data is extracted when the model loads
+    if (!currentGeometry) return;
 
-        // Outside pass: front faces only, writes depth (occludes inside)
-        const outsideMaterial = faceShaderMaterial.clone();
-        outsideMaterial.side = THREE.FrontSide;
-        outsideMaterial.uniforms.inside.value = 0.0;
-        outsideMaterial.uniforms.keyLightPos.value.copy(keyLight.position);
-        outsideMaterial.uniforms.rimLightPos.value.copy(rimLight.position);
-        facesMesh = new THREE.Mesh(geometry, outsideMaterial);
-        facesMesh.renderOrder = 1; // draw before assembled mesh
-        facesMesh.visible = false;
-        scene.add(facesMesh);
-
-        // Inside pass: back faces only, draws after outside
-        const insideMaterial = faceShaderMaterial.clone();
-        insideMaterial.side = THREE.BackSide;
-        insideMaterial.uniforms.inside.value = 1.0;
-        // Push inside slightly back in depth to avoid silhouette leakage
-        insideMaterial.polygonOffset = true;
-        insideMaterial.polygonOffsetFactor = 2;
-        insideMaterial.polygonOffsetUnits = 2;
-        insideMaterial.uniforms.keyLightPos.value.copy(keyLight.position);
-        insideMaterial.uniforms.rimLightPos.value.copy(rimLight.position);
-        facesInnerMesh = new THREE.Mesh(geometry, insideMaterial);
-        facesInnerMesh.renderOrder = 1.05;
-        facesInnerMesh.visible = false;
-        scene.add(facesInnerMesh);
-
-        // Initialize visibility tracking
-        faceVisibility = facesData.map(() => 0);
-    }
+    createFacesMesh();
 
     // Kill any running animations
-    gsap.killTweensOf(faceVisibility);
+    if (activeFacesTween) activeFacesTween.kill();
 
-    // Calculate proportional delays
-    const BASE_DURATION = 0.4;
-    const MAX_TIME = animationMaxTime;
-    const itemCount = facesData.length;
-    const effectiveDuration = Math.min(BASE_DURATION, MAX_TIME);
-    const delayPerItem = itemCount > 1 ? Math.max(0, (MAX_TIME - effectiveDuration) / (itemCount - 1)) : 0;
-    const geometry = facesMesh.geometry;
 
     // Instant feedback
     const btn = document.getElementById('form-faces');
     if (btn) btn.classList.toggle('active', !facesMesh.visible);
 
     if (!facesMesh.visible) {
-        // Show with animation
-        facesData.forEach((face, faceIndex) => {
-            faceVisibility[faceIndex] = 0;
-            const visAttr = geometry.attributes.visibility.array;
-            visAttr[faceIndex * 3] = 0;
-            visAttr[faceIndex * 3 + 1] = 0;
-            visAttr[faceIndex * 3 + 2] = 0;
-        });
-        geometry.attributes.visibility.needsUpdate = true;
         facesMesh.visible = true;
         if (facesInnerMesh) facesInnerMesh.visible = true;
+        activeFacesTween = playReveal(faceReveal, 'faces', polygonCount, false, () => {
+            activeFacesTween = null;
+        });
+    } else {
+        // Hide in reverse order: the last polygon starts hiding first
+        activeFacesTween = playReveal(faceReveal, 'faces', polygonCount, true, () => {
+            if (facesMesh) {
+                facesMesh.visible = false;
+                if (facesInnerMesh) facesInnerMesh.visible = false;
+            }
+            activeFacesTween = null;
+        });
+    }
+}
 
-        if (MAX_TIME === 0) {
-            facesData.forEach((face, faceIndex) => {
-                faceVisibility[faceIndex] = 1;
-                const visAttr = geometry.attributes.visibility.array;
-                visAttr[faceIndex * 3] = 1;
-                visAttr[faceIndex * 3 + 1] = 1;
-                visAttr[faceIndex * 3 + 2] = 1;
-            });
-            geometry.attributes.visibility.needsUpdate = true;
+// Build the assembled mesh with its dither-dissolve materials, initially hidden
+function createAssembledMesh() {
+    if (mesh || !currentGeometry || isPointCloud()) return;
+
+    // Create complete mesh with dither dissolve shader
+    const geometry = currentGeometry.clone();
+    applyVisibleParts(geometry);
+    updateModelBounds();
+
+    // Whole parts move apart in the exploded view (faces can't: vertices are shared)
+    const parts = computePartCenters(geometry);
+    if (parts) {
+        const partCenters = Float32Array.from({ length: parts.partOfVertex.length * 3 }, (value, i) =>
+            parts.centers[parts.partOfVertex[Math.floor(i / 3)] * 3 + i % 3]);
+        geometry.setAttribute('partCenter', new THREE.BufferAttribute(partCenters, 3));
+    }
+
+    // Uniforms shared by every material group so one tween drives the whole dissolve
+    meshUniforms = {
+        dissolve: { value: 0 },
+        keyLightPos: { value: keyLight.position.clone() },
+        rimLightPos: { value: rimLight.position.clone() }
+    };
+
+    // One shader material per source material (OBJ usemtl / MTL groups)
+    const vertexColors = !!geometry.attributes.color;
+    let material;
+    if (Array.isArray(currentMaterial) && geometry.groups.length > 0) {
+        material = currentMaterial.map(source => createMeshMaterial(source, vertexColors, !!parts));
+    } else {
+        const source = Array.isArray(currentMaterial) ? currentMaterial[0] : currentMaterial;
+        material = createMeshMaterial(source, vertexColors, !!parts);
+    }
+
+    mesh = new THREE.Mesh(geometry, material);
+    mesh.renderOrder = 2; // ensure assembled renders after faces
+    mesh.visible = false;
+    scene.add(mesh);
+}
+
+function assembleMesh() {
+    if (isPointCloud()) return;
+
+    // Stage data is extracted when the model loads
+    if (!currentGeometry) return;
+
+    // Faces stay visible underneath while the mesh dissolves in
+    createAssembledMesh();
+
+    // Always animate on toggle - duration and ease from the mesh stage timing
+    const dissolve = meshUniforms.dissolve;
+    const ASSEMBLY_DURATION = stageDuration('mesh');
+    const ease = stageTiming.mesh.ease;
+    if (activeMeshTween) activeMeshTween.kill();
+
+    // Instant feedback
+    const btn = document.getElementById('assemble-mesh');
+    if (btn) btn.classList.toggle('active', !mesh.visible);
+
+    if (!mesh.visible) {
+        // Show with dissolve-in
+        dissolve.value = 0;
+        mesh.visible = true;
+        if (ASSEMBLY_DURATION === 0) {
+            dissolve.value = 1;
         } else {
-            // Performance Fix: Single tween driving all instances
-            const animData = { progress: 0 };
-            const totalDuration = effectiveDuration + (facesData.length * delayPerItem);
-
-            // Kill previous animation
-            if (activeFacesTween) activeFacesTween.kill();
-
-            activeFacesTween = gsap.to(animData, {
-                progress: 1,
-                duration: totalDuration,
-                ease: "none",
-                onUpdate: () => {
-                    const currentTime = animData.progress * totalDuration;
-                    const visAttr = geometry.attributes.visibility.array;
-                    let needsUpdate = false;
-
-                    for (let i = 0; i < facesData.length; i++) {
-                        const startTime = i * delayPerItem;
-                        let val = (currentTime - startTime) / effectiveDuration;
-                        val = Math.max(0, Math.min(1, val));
-
-                        faceVisibility[i] = val;
-                        visAttr[i * 3] = val;
-                        visAttr[i * 3 + 1] = val;
-                        visAttr[i * 3 + 2] = val;
-                        needsUpdate = true;
-                    }
-                    if (needsUpdate) {
-                        geometry.attributes.visibility.needsUpdate = true;
-                    }
-                },
+            activeMeshTween = gsap.to(dissolve, {
+                value: 1,
+                duration: ASSEMBLY_DURATION,
+                ease,
                 onComplete: () => {
-                    activeFacesTween = null;
+                    activeMeshTween = null;
                 }
             });
         }
     } else {
-        // Hide with reverse animation
-        if (MAX_TIME === 0) {
-            facesMesh.visible = false;
-            if (facesInnerMesh) facesInnerMesh.visible = false;
+        // Hide with dissolve animation
+        if (ASSEMBLY_DURATION === 0) {
+            dissolve.value = 0;
+            mesh.visible = false;
         } else {
-            // Performance Fix: Single tween driving all instances (Reverse)
-            const animData = { progress: 0 };
-            const totalDuration = effectiveDuration + (facesData.length * delayPerItem);
-
-            // Kill previous animation
-            if (activeFacesTween) activeFacesTween.kill();
-
-            activeFacesTween = gsap.to(animData, {
-                progress: 1,
-                duration: totalDuration,
-                ease: "none",
-                onUpdate: () => {
-                    if (!facesMesh) return;
-                    const currentTime = animData.progress * totalDuration;
-                    const visAttr = geometry.attributes.visibility.array;
-                    let needsUpdate = false;
-
-                    for (let i = 0; i < facesData.length; i++) {
-                        // Reverse index logic
-                        const reverseIndex = (facesData.length - 1) - i;
-                        const startTime = i * delayPerItem;
-
-                        let val = (currentTime - startTime) / effectiveDuration;
-                        val = 1 - Math.max(0, Math.min(1, val)); // Invert
-
-                        faceVisibility[reverseIndex] = val;
-                        visAttr[reverseIndex * 3] = val;
-                        visAttr[reverseIndex * 3 + 1] = val;
-                        visAttr[reverseIndex * 3 + 2] = val;
-                        needsUpdate = true;
-                    }
-                    if (needsUpdate) {
-                        geometry.attributes.visibility.needsUpdate = true;
-                    }
-                },
+            activeMeshTween = gsap.to(dissolve, {
+                value: 0,
+                duration: ASSEMBLY_DURATION,
+                ease,
                 onComplete: () => {
-                    if (facesMesh) {
-                        facesMesh.visible = false;
-                        if (facesInnerMesh) facesInnerMesh.visible = false;
-                    }
-                    activeFacesTween = null;
+                    if (mesh) mesh.visible = false;
+                    activeMeshTween = null;
                 }
             });
         }
     }
 }
 
-function assembleMesh() {
-    // Ensure we have geometry available independent of faces
-    if (!currentGeometry) {
-        updateGeometry();
-        if (!currentGeometry) return;
-    }
-
-    if (!mesh) {
-        // Don't hide faces yet - they'll stay visible during dissolve
-        // facesMesh.visible = false;
-        // document.getElementById('form-faces').textContent = 'Show Faces';
+// Mesh transition driven by `dissolve` (0 hidden .. 1 shown): 0 hashed dither, 1 height
+// wipe from the floor up, 2 radial wipe from the model center, 3 noise burn with a
+// glowing edge, 4 alpha fade. Shared by every assembled mesh material.
+const DISSOLVE_STYLES = { dither: 0, height: 1, radial: 2, burn: 3, fade: 4 };
+const dissolveStyle = { value: DISSOLVE_STYLES.dither };
+
+// Only the alpha fade needs blending; switching recompiles the mesh materials
+function setDissolveStyle(style) {
+    dissolveStyle.value = DISSOLVE_STYLES[style];
+    if (!mesh) return;
+    [].concat(mesh.material).forEach((material) => {
+        material.transparent = style === 'fade';
+        material.needsUpdate = true;
+    });
+}
 
-        // Create complete mesh with dither dissolve shader
-        const geometry = currentGeometry.clone();
+// Dissolving material for the assembled mesh, taking diffuse color and map from `source`
+function createMeshMaterial(source, vertexColors, explodeParts) {
+    const map = source && source.map ? source.map : null;
 
-        // Get base color from original material or use default
-        let baseColor = new THREE.Color(0xffffff);
-        if (currentMaterial && currentMaterial.color) {
-            baseColor.copy(currentMaterial.color);
-        }
+    // Custom shader material with dither dissolve effect and PBR
+    return new THREE.ShaderMaterial({
+        defines: explodeParts ? { EXPLODE_PARTS: '' } : {},
+        uniforms: {
+            ...meshUniforms,
+            ...faceMotion,
+            ...modelBounds,
+            dissolveStyle,
+            baseColor: { value: source && source.color ? source.color.clone() : new THREE.Color(0xffffff) },
+            map: { value: map },
+            useMap: { value: map ? 1.0 : 0.0 },
+            // Maps tagged sRGB are decoded when sampled; anything else holds raw sRGB data
+            decodeMap: { value: map && map.encoding !== THREE.sRGBEncoding ? 1.0 : 0.0 }
+        },
+        vertexShader: EXPLODE_GLSL + `
+            varying vec3 vNormal;
+            varying vec3 vWorldPosition;
+            varying vec3 vRestPosition;
+            varying vec3 vColor;
+            varying vec2 vUv;
+            varying float vExplodeHidden;
+            
+            void main() {
+                vUv = uv;
+                vRestPosition = position;
+                vExplodeHidden = explodeHides();
+                #ifdef USE_COLOR
+                vColor = color;
+                #else
+                vColor = vec3(1.0);
+                #endif
+                // Only whole parts explode; with faces exploding the faces stage shows instead
+                vec3 displaced = position + partExplodeOffset();
+                // Transform normal to world space
+                vNormal = normalize(mat3(modelMatrix) * normal);
+                vec4 worldPosition = modelMatrix * vec4(displaced, 1.0);
+                vWorldPosition = worldPosition.xyz;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform float dissolve;
+            uniform float dissolveStyle;
+            uniform vec3 modelCenter;
+            uniform float modelRadius;
+            uniform vec3 modelMin;
+            uniform vec3 modelMax;
+            uniform vec3 keyLightPos;
+            uniform vec3 rimLightPos;
+            uniform vec3 baseColor;
+            uniform sampler2D map;
+            uniform float useMap;
+            uniform float decodeMap;
+            
+            varying vec3 vNormal;
+            varying vec3 vWorldPosition;
+            varying vec3 vRestPosition;
+            varying vec3 vColor;
+            varying vec2 vUv;
+            varying float vExplodeHidden;
+            
+            // Simple hash function for dither pattern
+            float hash(vec3 p) {
+                return fract(sin(dot(p, vec3(12.9898, 78.233, 45.164))) * 43758.5453);
+            }
 
-        // Custom shader material with dither dissolve effect and PBR
-        const material = new THREE.ShaderMaterial({
-            uniforms: {
-                dissolve: { value: 0 },
-                keyLightPos: { value: keyLight.position.clone() },
-                rimLightPos: { value: rimLight.position.clone() }
-            },
-            vertexShader: `
-                varying vec3 vNormal;
-                varying vec3 vWorldPosition;
-                
-                void main() {
-                    // Transform normal to world space
-                    vNormal = normalize(mat3(modelMatrix) * normal);
-                    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
-                    vWorldPosition = worldPosition.xyz;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            // Smooth value noise in 0..1 for the burn edge
+            float valueNoise(vec3 p) {
+                vec3 i = floor(p);
+                vec3 f = fract(p);
+                f = f * f * (3.0 - 2.0 * f);
+                return mix(
+                    mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+                        mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+                    mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+                        mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+                    f.z);
+            }
+            
+            void main() {
+                if (vExplodeHidden > 0.5) discard;
+                // Every style shows nothing at dissolve 0 and everything at 1
+                float alpha = 1.0;
+                float burnGlow = 0.0;
+                if (dissolveStyle < 0.5) {
+                    // Dither dissolve
+                    float dither = hash(vWorldPosition * 10.0 + vec3(dissolve * 5.0));
+                    if (dither > dissolve) discard;
+                } else if (dissolveStyle < 1.5) {
+                    // Height wipe from the floor up
+                    float height = (vRestPosition.y - modelMin.y) / max(modelMax.y - modelMin.y, 1e-6);
+                    if (height > dissolve) discard;
+                } else if (dissolveStyle < 2.5) {
+                    // Radial wipe out from the model center
+                    if (distance(vRestPosition, modelCenter) / modelRadius > dissolve) discard;
+                } else if (dissolveStyle < 3.5) {
+                    // Noise burn: the border glows, thinning out as the mesh completes
+                    vec3 p = vRestPosition / modelRadius * 4.0;
+                    float burn = clamp(valueNoise(p) * 0.65 + valueNoise(p * 2.7) * 0.35, 0.0, 1.0);
+                    if (burn > dissolve) discard;
+                    float edgeWidth = 0.08 * clamp((1.0 - dissolve) * 10.0, 0.0, 1.0);
+                    if (edgeWidth > 0.0) burnGlow = smoothstep(dissolve - edgeWidth, dissolve, burn);
+                } else {
+                    // Plain alpha fade
+                    alpha = dissolve;
                 }
-            `,
-            fragmentShader: `
-                uniform float dissolve;
-                uniform vec3 keyLightPos;
-                uniform vec3 rimLightPos;
                 
-                varying vec3 vNormal;
-                varying vec3 vWorldPosition;
+                vec3 N = normalize(vNormal);
+                vec3 V = normalize(cameraPosition - vWorldPosition);
                 
-                // Simple hash function for dither pattern
-                float hash(vec3 p) {
-                    return fract(sin(dot(p, vec3(12.9898, 78.233, 45.164))) * 43758.5453);
-                }
+                // Normalized light directions
+                vec3 keyLight = normalize(keyLightPos - vWorldPosition);
+                vec3 rimLight = normalize(rimLightPos - vWorldPosition);
                 
-                void main() {
-                    // Dither dissolve
-                    float dither = hash(vWorldPosition * 10.0 + vec3(dissolve * 5.0));
-                    if (dither > dissolve) discard;
-                    
-                    vec3 N = normalize(vNormal);
-                    vec3 V = normalize(cameraPosition - vWorldPosition);
-                    
-                    // Normalized light directions
-                    vec3 keyLight = normalize(keyLightPos - vWorldPosition);
-                    vec3 rimLight = normalize(rimLightPos - vWorldPosition);
-                    
-                    // Lambert diffuse
-                    float keyDiff = max(dot(N, keyLight), 0.0) * 2.0;
-                    float rimDiff = max(dot(N, rimLight), 0.0) * 1.5;
-                    
-                    float totalDiffuse = keyDiff + rimDiff;
-                    vec3 diffuseColor = vec3(0.5) * totalDiffuse;
-                    
-                    // Blinn-Phong specular
-                    float shininess = 32.0;
-                    float specularStrength = 0.3;
-                    
-                    vec3 H1 = normalize(keyLight + V);
-                    float spec1 = pow(max(dot(N, H1), 0.0), shininess) * 2.0;
-                    
-                    vec3 H2 = normalize(rimLight + V);
-                    float spec2 = pow(max(dot(N, H2), 0.0), shininess) * 1.5;
-                    
-                    vec3 specularColor = vec3(1.0) * (spec1 + spec2) * specularStrength;
-                    
-                    vec3 finalColor = diffuseColor + specularColor;
-                    
-                    gl_FragColor = vec4(finalColor, 1.0);
+                // Lambert diffuse
+                float keyDiff = max(dot(N, keyLight), 0.0) * 2.0;
+                float rimDiff = max(dot(N, rimLight), 0.0) * 1.5;
+                
+                float totalDiffuse = keyDiff + rimDiff;
+                // Work in linear: the r149 loaders convert material colors (MTL Kd, glTF
+                // factors) and OBJ/PLY/glTF vertex colors to linear, and sRGB-tagged maps
+                // (MTL map_Kd, glTF base color) are decoded by the GPU. Other maps are
+                // decoded here. The result is encoded by hand since the renderer outputs linear.
+                vec3 albedo = baseColor * vColor;
+                if (useMap > 0.5) {
+                    vec3 texel = texture2D(map, vUv).rgb;
+                    albedo *= decodeMap > 0.5 ? pow(texel, vec3(2.2)) : texel;
                 }
-            `,
-            side: THREE.FrontSide,
-            depthTest: true,
-            depthWrite: true
-        });
+                vec3 diffuseColor = vec3(0.5) * pow(albedo, vec3(1.0 / 2.2)) * totalDiffuse;
+                
+                // Blinn-Phong specular
+                float shininess = 32.0;
+                float specularStrength = 0.3;
+                
+                vec3 H1 = normalize(keyLight + V);
+                float spec1 = pow(max(dot(N, H1), 0.0), shininess) * 2.0;
+                
+                vec3 H2 = normalize(rimLight + V);
+                float spec2 = pow(max(dot(N, H2), 0.0), shininess) * 1.5;
+                
+                vec3 specularColor = vec3(1.0) * (spec1 + spec2) * specularStrength;
+                
+                vec3 finalColor = diffuseColor + specularColor;
+                finalColor = mix(finalColor, vec3(2.0, 0.9, 0.25), burnGlow);
+                
+                gl_FragColor = vec4(finalColor, alpha);
+            }
+        `,
+        side: THREE.FrontSide,
+        transparent: dissolveStyle.value === DISSOLVE_STYLES.fade,
+        depthTest: true,
+        depthWrite: true,
+        vertexColors
+    });
+}
 
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.renderOrder = 2; // ensure assembled renders after faces
-        scene.add(mesh);
+function killStageTweens() {
+    [activeVerticesTween, activeEdgesTween, activeFacesTween, activeMeshTween].forEach((tween) => tween && tween.kill());
+    activeVerticesTween = activeEdgesTween = activeFacesTween = activeMeshTween = null;
+}
 
-        // Instant feedback
-        const btn = document.getElementById('assemble-mesh');
-        if (btn) btn.classList.add('active');
+// ===== Stage Timeline =====
+// Sequences Vertices -> Edges -> Faces -> Mesh on one GSAP timeline that can be
+// paused, stepped, scrubbed and sped up. It drives the same reveal uniforms and
+// dissolve the stage buttons use, so either can take over from the other.
+let stageTimeline = null;
+let stageBoundaries = [];  // { start, end } per stage in timeline seconds (null if the stage is unavailable)
+let stageOverlap = 0;  // Fraction of a stage's length the next stage starts early
+let timelineSpeed = 1;
+
+// `prepare` resets a stage to the start of its show and returns what to tween
+const timelineStages = [
+    {
+        id: 'show-vertices',
+        create: createVerticesMesh,
+        objects: () => [vertices],
+        prepare: () => vertices && {
+            target: vertexReveal.revealTime,
+            length: configureReveal(vertexReveal, 'vertices', vertexCount, false)
+        }
+    },
+    {
+        id: 'connect-edges',
+        create: createEdgesMesh,
+        objects: () => [edgesMesh],
+        prepare: () => edgesMesh && {
+            target: edgeReveal.revealTime,
+            length: configureReveal(edgeReveal, 'edges', edgeCount, false)
+        }
+    },
+    {
+        id: 'form-faces',
+        create: createFacesMesh,
+        objects: () => [facesMesh, facesInnerMesh],
+        prepare: () => facesMesh && {
+            target: faceReveal.revealTime,
+            length: configureReveal(faceReveal, 'faces', polygonCount, false)
+        }
+    },
+    {
+        id: 'assemble-mesh',
+        create: createAssembledMesh,
+        objects: () => [mesh],
+        prepare: () => {
+            if (!mesh) return null;
+            meshUniforms.dissolve.value = 0;
+            return { target: meshUniforms.dissolve, end: 1, length: stageDuration('mesh'), ease: stageTiming.mesh.ease };
+        }
+    }
+];
 
-        // Animate dither dissolve - duration equals slider value
-        const ASSEMBLY_DURATION = Math.max(0, animationMaxTime);
-        // Reset dissolve and kill any previous tweens
-        gsap.killTweensOf(material.uniforms.dissolve);
-        material.uniforms.dissolve.value = 0;
-        if (ASSEMBLY_DURATION === 0) {
-            material.uniforms.dissolve.value = 1;
-        } else {
-            gsap.to(material.uniforms.dissolve, {
-                value: 1,
-                duration: ASSEMBLY_DURATION,
-                ease: "none"
-            });
+/**
+ * (Re)builds the timeline from the current stage data and timing settings,
+ * paused at the start. Running stage-button tweens are stopped.
+ */
+function buildStageTimeline() {
+    stopStageTimeline();
+    if (!currentGeometry) return null;
+    killStageTweens();
+
+    const timeline = gsap.timeline({
+        paused: true,
+        onUpdate: syncStageTimeline,
+        onComplete: updateTimelineControls
+    });
+    timeline.timeScale(timelineSpeed);
+
+    timelineStages.forEach((stage) => stage.create());
+    // Camera order follows the view at the moment the timeline is built
+    if (revealOrder === 'camera') applyRevealOrder();
+
+    stageBoundaries = [];
+    let start = 0;
+    timelineStages.forEach((stage) => {
+        const track = stage.prepare();
+        if (!track) {
+            stageBoundaries.push(null);
+            return;
         }
+        const end = track.end !== undefined ? track.end : track.length;
+        timeline.fromTo(track.target, { value: 0 }, {
+            value: end,
+            duration: track.length,
+            ease: track.ease || 'none',
+            immediateRender: false
+        }, start);
+        stageBoundaries.push({ start, end: start + track.length });
+        start += track.length * (1 - stageOverlap);
+    });
+
+    stageTimeline = timeline;
+    renderTimelineSegments();
+    syncStageTimeline();
+    return timeline;
+}
+
+// Rebuild after a timing change, keeping the playhead where it was
+function refreshStageTimeline() {
+    if (!stageTimeline) return;
+    const progress = stageTimeline.progress();
+    const playing = stageTimeline.isActive();
+    buildStageTimeline();
+    stageTimeline.progress(progress);
+    if (playing) stageTimeline.play();
+}
+
+// Drop the timeline (e.g. when a stage button is used); the scene keeps its current state
+function stopStageTimeline() {
+    if (stageTimeline) {
+        stageTimeline.kill();
+        stageTimeline = null;
+    }
+    updateTimelineControls();
+}
+
+// Stage objects are shown once the playhead passes their start
+function syncStageTimeline() {
+    if (!stageTimeline) return;
+    const time = stageTimeline.time();
+    const finished = stageTimeline.progress() === 1;
+
+    timelineStages.forEach((stage, i) => {
+        const bounds = stageBoundaries[i];
+        const started = !!bounds && (time > bounds.start || finished);
+        stage.objects().forEach((object) => {
+            if (object) object.visible = started;
+        });
+        const btn = document.getElementById(stage.id);
+        if (btn) btn.classList.toggle('active', started);
+    });
+    applyCameraPath(stageTimeline.progress());
+    updateTimelineControls();
+}
+
+function updateTimelineControls() {
+    const playBtn = document.getElementById('timeline-play');
+    const scrubber = document.getElementById('timeline-scrubber');
+    const timeLabel = document.getElementById('timeline-time');
+    if (!playBtn) return;
+
+    const playing = !!stageTimeline && stageTimeline.isActive();
+    playBtn.textContent = playing ? '❚❚' : '▶';
+    playBtn.title = playing ? 'Pause' : 'Play all stages';
+    scrubber.value = stageTimeline ? Math.round(stageTimeline.progress() * 1000) : 0;
+    timeLabel.textContent = stageTimeline
+        ? `${stageTimeline.time().toFixed(1)} / ${stageTimeline.duration().toFixed(1)}s`
+        : '0.0s';
+    if (!stageTimeline) renderTimelineSegments();
+}
+
+// One bar per stage under the scrubber, showing where stages start, end and overlap
+function renderTimelineSegments() {
+    const container = document.getElementById('timeline-segments');
+    if (!container) return;
+    container.innerHTML = '';
+    if (!stageTimeline || stageTimeline.duration() === 0) return;
+
+    const total = stageTimeline.duration();
+    stageBoundaries.forEach((bounds, i) => {
+        if (!bounds) return;
+        const segment = document.createElement('div');
+        segment.className = 'timeline-segment';
+        segment.style.left = `${(bounds.start / total) * 100}%`;
+        segment.style.width = `${((bounds.end - bounds.start) / total) * 100}%`;
+        segment.title = document.getElementById(timelineStages[i].id).textContent;
+        container.appendChild(segment);
+    });
+}
+
+function toggleTimelinePlayback() {
+    if (!stageTimeline && !buildStageTimeline()) return;
+
+    if (stageTimeline.isActive()) {
+        stageTimeline.pause();
     } else {
-        // Always animate on toggle
-        const material = mesh.material;
-        const ASSEMBLY_DURATION = Math.max(0, animationMaxTime);
-        gsap.killTweensOf(material.uniforms.dissolve);
-
-        // Instant feedback
-        const btn = document.getElementById('assemble-mesh');
-        if (btn) btn.classList.toggle('active', !mesh.visible);
-
-        if (!mesh.visible) {
-            // Show with dissolve-in
-            material.uniforms.dissolve.value = 0;
-            mesh.visible = true;
-            if (ASSEMBLY_DURATION === 0) {
-                material.uniforms.dissolve.value = 1;
-            } else {
-                // Kill previous animation
-                if (activeMeshTween) activeMeshTween.kill();
-
-                activeMeshTween = gsap.to(material.uniforms.dissolve, {
-                    value: 1,
-                    duration: ASSEMBLY_DURATION,
-                    ease: "none",
-                    onComplete: () => {
-                        activeMeshTween = null;
-                    }
-                });
-            }
-        } else {
-            // Hide with dissolve animation
-            if (mesh) {
-                const material = mesh.material;
+        if (stageTimeline.progress() === 1) stageTimeline.progress(0);
+        stageTimeline.play();
+    }
+    updateTimelineControls();
+}
 
-                if (ASSEMBLY_DURATION === 0) {
-                    material.uniforms.dissolve.value = 0;
-                    mesh.visible = false;
-                } else {
-                    // Kill previous animation
-                    if (activeMeshTween) activeMeshTween.kill();
-
-                    activeMeshTween = gsap.to(material.uniforms.dissolve, {
-                        value: 0,
-                        duration: ASSEMBLY_DURATION,
-                        ease: "none",
-                        onComplete: () => {
-                            mesh.visible = false;
-                            activeMeshTween = null;
-                        }
-                    });
-                }
+// Jump to the previous/next stage start or end and pause there
+function stepStageTimeline(direction) {
+    if (!stageTimeline && !buildStageTimeline()) return;
+    stageTimeline.pause();
+
+    const now = stageTimeline.time();
+    const marks = [0, stageTimeline.duration()];
+    stageBoundaries.forEach((bounds) => bounds && marks.push(bounds.start, bounds.end));
+    marks.sort((a, b) => a - b);
+
+    const target = direction > 0
+        ? marks.find((t) => t > now + 1e-3)
+        : marks.reverse().find((t) => t < now - 1e-3);
+    stageTimeline.time(target !== undefined ? target : (direction > 0 ? stageTimeline.duration() : 0));
+    syncStageTimeline();
+}
+
+// Taking the timeline over by hand ends autoplay
+document.getElementById('timeline-play').addEventListener('click', () => {
+    stopAutoplay();
+    toggleTimelinePlayback();
+});
+document.getElementById('timeline-prev').addEventListener('click', () => {
+    stopAutoplay();
+    stepStageTimeline(-1);
+});
+document.getElementById('timeline-next').addEventListener('click', () => {
+    stopAutoplay();
+    stepStageTimeline(1);
+});
+
+document.getElementById('timeline-scrubber').addEventListener('input', (e) => {
+    stopAutoplay();
+    if (!stageTimeline && !buildStageTimeline()) return;
+    stageTimeline.pause();
+    stageTimeline.progress(parseFloat(e.target.value) / 1000);
+    syncStageTimeline();
+});
+
+document.getElementById('timeline-speed').addEventListener('change', (e) => {
+    timelineSpeed = parseFloat(e.target.value) || 1;
+    if (stageTimeline) stageTimeline.timeScale(timelineSpeed);
+});
+
+// Tear the stages down in reverse on the timeline: Mesh first, each stage hiding
+// from its last item. Resolves when everything is hidden (or the timeline is replaced).
+function reverseAllStages() {
+    const timeline = stageTimeline;
+    if (!timeline || timeline.progress() === 0) return Promise.resolve();
+    return new Promise((resolve) => {
+        timeline.eventCallback('onReverseComplete', () => {
+            updateTimelineControls();
+            resolve();
+        });
+        timeline.eventCallback('onInterrupt', resolve);
+        timeline.reverse();
+        updateTimelineControls();
+    });
+}
+
+// ===== Camera Path & Turntable =====
+// Keyframes capture the OrbitControls view (camera position + target). With two or
+// more, a Catmull-Rom spline through them follows the stage timeline, so playing or
+// scrubbing the timeline flies the camera along the path. The turntable orbits
+// controls.target at a fixed elevation, leaving zoom and manual orbiting free.
+let cameraKeyframes = [];
+let cameraPath = null;  // Position and target curves, rebuilt when keyframes change
+let cameraPathFollow = true;
+let turntableActive = false;
+let turntableSpeed = 20;  // Degrees per second; negative turns clockwise
+let turntableElevation = 25;  // Degrees above the target's horizon
+const turntableOffset = new THREE.Vector3();
+const turntableSpherical = new THREE.Spherical();
+
+function addCameraKeyframe() {
+    cameraKeyframes.push({ position: camera.position.clone(), target: controls.target.clone() });
+    rebuildCameraPath();
+}
+
+function clearCameraKeyframes() {
+    cameraKeyframes = [];
+    rebuildCameraPath();
+}
+
+function rebuildCameraPath() {
+    cameraPath = null;
+    if (cameraKeyframes.length > 1) {
+        cameraPath = {
+            positions: new THREE.CatmullRomCurve3(cameraKeyframes.map((key) => key.position), false, 'centripetal'),
+            targets: new THREE.CatmullRomCurve3(cameraKeyframes.map((key) => key.target), false, 'centripetal')
+        };
+        // Even speed along the path, unless every keyframe shares one position
+        cameraPath.evenSpeed = cameraPath.positions.getLength() > 1e-6;
+    }
+    document.getElementById('camera-key-count').textContent = cameraKeyframes.length;
+}
+
+// Place the camera at `progress` (0..1) along the path
+function applyCameraPath(progress) {
+    if (!cameraPath || !cameraPathFollow) return;
+    const t = cameraPath.evenSpeed ? cameraPath.positions.getUtoTmapping(progress) : progress;
+    cameraPath.positions.getPoint(t, camera.position);
+    cameraPath.targets.getPoint(t, controls.target);
+}
+
+function isFollowingCameraPath() {
+    return !!cameraPath && cameraPathFollow && !!stageTimeline && stageTimeline.isActive();
+}
+
+// Advance the turntable by `delta` seconds (called every frame)
+function updateTurntable(delta) {
+    if (!turntableActive || isFollowingCameraPath()) return;
+    turntableOffset.copy(camera.position).sub(controls.target);
+    turntableSpherical.setFromVector3(turntableOffset);
+    turntableSpherical.theta += THREE.MathUtils.degToRad(turntableSpeed) * delta;
+    turntableSpherical.phi = THREE.MathUtils.degToRad(90 - turntableElevation);
+    camera.position.copy(controls.target).add(turntableOffset.setFromSpherical(turntableSpherical));
+}
+
+function setTurntableActive(active) {
+    turntableActive = active;
+    document.getElementById('turntable-toggle').classList.toggle('active', active);
+}
+
+document.getElementById('camera-key-add').addEventListener('click', addCameraKeyframe);
+document.getElementById('camera-key-clear').addEventListener('click', clearCameraKeyframes);
+
+document.getElementById('camera-path-follow').addEventListener('change', (e) => {
+    cameraPathFollow = e.target.checked;
+    if (stageTimeline) applyCameraPath(stageTimeline.progress());
+});
+
+document.getElementById('turntable-toggle').addEventListener('click', () => setTurntableActive(!turntableActive));
+
+document.getElementById('turntable-speed').addEventListener('input', (e) => {
+    turntableSpeed = parseFloat(e.target.value);
+    document.getElementById('turntable-speed-value').textContent = turntableSpeed + '°/s';
+});
+
+document.getElementById('turntable-elevation').addEventListener('input', (e) => {
+    turntableElevation = parseFloat(e.target.value);
+    document.getElementById('turntable-elevation-value').textContent = turntableElevation + '°';
+});
+
+// ===== Autoplay =====
+// Kiosk loop: build up, hold, tear down, optionally move on to the next preset
+// model, repeat until stopped. The settings panel collapses while it runs.
+const AUTOPLAY_GAP = 0.5;  // Seconds between tearing down and the next build-up
+let autoplayHold = 3;  // Seconds the finished mesh stays up
+let autoplayCycleModels = true;
+let autoplayRun = 0;  // Bumped on start/stop so a superseded loop exits
+let autoplayRunning = false;
+let autoplayWake = null;  // Ends the current wait early when stopping
+let autoplayWasCollapsed = false;
+
+function startAutoplay() {
+    if (autoplayRunning) return;
+    autoplayRunning = true;
+    autoplayWasCollapsed = isCollapsed;
+    setSettingsCollapsed(true);
+    document.getElementById('timeline-autoplay').classList.add('active');
+    runAutoplay(++autoplayRun).catch((error) => {
+        console.error('Autoplay stopped:', error);
+        stopAutoplay();
+    });
+}
+
+function stopAutoplay() {
+    if (!autoplayRunning) return;
+    autoplayRunning = false;
+    autoplayRun++;
+    if (autoplayWake) autoplayWake();
+    setSettingsCollapsed(autoplayWasCollapsed);
+    document.getElementById('timeline-autoplay').classList.remove('active');
+}
+
+function autoplayWait(seconds) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, seconds * 1000);
+        autoplayWake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    });
+}
+
+async function runAutoplay(run) {
+    const running = () => run === autoplayRun;
+    while (running()) {
+        await playAllStages();
+        if (!running()) return;
+        await autoplayWait(autoplayHold);
+        if (!running()) return;
+        await reverseAllStages();
+        if (!running()) return;
+        await autoplayWait(AUTOPLAY_GAP);
+        if (!running()) return;
+        if (autoplayCycleModels) await showNextPresetModel();
+    }
+}
+
+// Load the preset after the current one in the model list (wrapping around).
+// Models that fail to load are skipped; gives up once back at the current model.
+async function showNextPresetModel() {
+    const ids = Object.keys(presetModels);
+    const start = ids.indexOf(currentShape);
+    const previousShape = currentShape;
+    const selectEl = document.getElementById('shape-select');
+
+    for (let step = 1; step <= ids.length; step++) {
+        const next = ids[(start + step) % ids.length];
+        if (next === previousShape) return;
+        currentShape = next;
+        selectEl.value = next;
+        try {
+            if (await loadPresetModel(next)) return;
+            hideLoading();
+        } catch (error) {
+            if (isCancelled(error)) {
+                currentShape = previousShape;
+                selectEl.value = previousShape;
+                return;
             }
+            console.error('Autoplay skipped a model that failed to load:', error);
         }
     }
+}
+
+document.getElementById('timeline-autoplay').addEventListener('click', () => {
+    if (autoplayRunning) {
+        stopAutoplay();
+    } else {
+        startAutoplay();
+    }
+});
+
+document.getElementById('autoplay-hold').addEventListener('input', (e) => {
+    autoplayHold = parseFloat(e.target.value);
+    document.getElementById('autoplay-hold-value').textContent = autoplayHold.toFixed(1) + 's';
+});
 
+document.getElementById('autoplay-cycle').addEventListener('change', (e) => {
+    autoplayCycleModels = e.target.checked;
+});
+
+// ===== Frame Capture =====
+// Exports render the scene at a fixed size, independent of the window, and without
+// the UI: the axes gizmo is hidden and the settings panel camera offset is skipped.
+// The animation loop stops rendering while a capture is in progress.
+let capturing = false;
+let exportController = null;  // AbortController of the running export (cancel button)
+
+function beginCapture(width, height) {
+    const saved = {
+        size: renderer.getSize(new THREE.Vector2()),
+        pixelRatio: renderer.getPixelRatio(),
+        aspect: camera.aspect,
+        axesVisible: axesHelper.visible
+    };
+    capturing = true;
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    axesHelper.visible = false;
+
+    return function endCapture() {
+        renderer.setPixelRatio(saved.pixelRatio);
+        renderer.setSize(saved.size.x, saved.size.y, false);
+        camera.aspect = saved.aspect;
+        camera.updateProjectionMatrix();
+        axesHelper.visible = saved.axesVisible;
+        capturing = false;
+    };
 }
 
+function renderCaptureFrame() {
+    controls.update();
+    renderer.render(scene, camera);
+}
+
+// Show the stage timeline (and camera path / turntable) at `time` seconds
+function seekCaptureFrame(timeline, time, delta) {
+    timeline.time(Math.min(time, timeline.duration()));
+    syncStageTimeline();
+    updateTurntable(delta);
+}
+
+// Frames from t = 0 through the end of the build-up plus VIDEO_TAIL, inclusive
+function captureFrameCount(timeline, fps) {
+    return Math.ceil((timeline.duration() + VIDEO_TAIL) * fps) + 1;
+}
+
+function parseExportSize() {
+    const [width, height] = document.getElementById('export-resolution').value.split('x').map(Number);
+    return { width, height };
+}
+
+// The Tauri webview ignores download links, so the desktop build asks where to save instead
+async function downloadBlob(blob, fileName) {
+    const tauri = window.__TAURI__;
+    if (tauri?.dialog && tauri?.fs) {
+        const extension = fileName.split('.').pop();
+        try {
+            const path = await tauri.dialog.save({
+                defaultPath: fileName,
+                filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+            });
+            if (path) await tauri.fs.writeFile(path, new Uint8Array(await blob.arrayBuffer()));
+        } catch (error) {
+            showLoadingError(`Could not save ${fileName}: ${error.message || error}`);
+        }
+        return;
+    }
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Overlay with progress and a working cancel button for the running export
+function startExport(message) {
+    stopAutoplay();
+    exportController = new AbortController();
+    showLoading(message);
+    loadingOverlay?.classList.add('cancellable');
+    return exportController.signal;
+}
+
+function finishExport() {
+    exportController = null;
+    loadingOverlay?.classList.remove('cancellable');
+    hideLoading();
+}
+
+// Button handlers run exports through this so a failure reaches the user
+function reportExportError(error) {
+    console.error('Export failed:', error);
+    showLoadingError(`Export failed: ${error.message || error}`);
+}
+
+// ===== Video Export =====
+// Seconds the finished mesh stays on screen at the end of a recording
+const VIDEO_TAIL = 1;
+
+/**
+ * Records the Vertices -> Edges -> Faces -> Mesh build-up to WebM. Frames are
+ * rendered at exactly 1 / fps apart in animation time and handed to MediaRecorder
+ * on a real-time schedule, so the clip plays at the chosen rate.
+ */
+async function exportVideo() {
+    if (!currentGeometry) return;
+    if (typeof MediaRecorder === 'undefined' || !renderer.domElement.captureStream) {
+        showLoadingError('Video export is not supported in this browser.');
+        return;
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        showLoadingError('This browser cannot record WebM video.');
+        return;
+    }
+
+    const { width, height } = parseExportSize();
+    const fps = parseInt(document.getElementById('export-fps').value, 10);
+    const signal = startExport('Recording video...');
+    const chunks = [];
+    let endCapture = null;
+    let track = null;
+
+    try {
+        const timeline = buildStageTimeline();
+        endCapture = beginCapture(width, height);
+
+        const stream = renderer.domElement.captureStream(0);
+        track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: width * height * fps * 0.2 });
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        const stopped = new Promise((resolve) => recorder.addEventListener('stop', resolve));
+
+        recorder.start();
+        const frameCount = captureFrameCount(timeline, fps);
+        const startedAt = performance.now();
+        for (let frame = 0; frame < frameCount && !signal.aborted; frame++) {
+            seekCaptureFrame(timeline, frame / fps, frame ? 1 / fps : 0);
+            renderCaptureFrame();
+            track.requestFrame();
+            setLoadingProgress('Frame', frame / (frameCount - 1));
+
+            // Keep to the frame rate in real time so the recorder's timestamps match
+            const due = startedAt + ((frame + 1) * 1000) / fps;
+            await new Promise((resolve) => setTimeout(resolve, Math.max(0, due - performance.now())));
+        }
+        recorder.stop();
+        await stopped;
+    } finally {
+        track?.stop();
+        endCapture?.();
+        finishExport();
+    }
+
+    if (!signal.aborted) {
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${exportBaseName()}.webm`);
+    }
+}
+
+// File name for exports, from the current model
+function exportBaseName() {
+    const option = document.getElementById('shape-select').selectedOptions[0];
+    const name = (option ? option.textContent : currentShape).replace(/\.[^.]+$/, '');
+    return name.trim().replace(/[^a-z0-9_-]+/gi, '-').toLowerCase() || 'mesh';
+}
+
+document.getElementById('export-video').addEventListener('click', () => exportVideo().catch(reportExportError));
+
+// ===== Frame Sequence Export =====
+// Offline counterpart of the video export: every frame is rendered, read back and
+// encoded before the clock moves on, so slow frames are never dropped and the
+// result is the same on any machine.
+
+/**
+ * Steps the build-up 1 / fps at a time and calls `onFrame(context, frame, frameCount)`
+ * with each rendered frame copied onto a 2D canvas. With "Transparent Background"
+ * on and the sky hidden, the background is cleared to alpha 0. Resolves to false
+ * if the export was cancelled.
+ */
+async function renderFrameSequence(message, onFrame) {
+    const { width, height } = parseExportSize();
+    const fps = parseInt(document.getElementById('export-fps').value, 10);
+    const transparent = document.getElementById('export-transparent').checked && !sky.visible;
+    const signal = startExport(message);
+    const clearAlpha = renderer.getClearAlpha();
+    let endCapture = null;
+
+    try {
+        const timeline = buildStageTimeline();
+        endCapture = beginCapture(width, height);
+        if (transparent) renderer.setClearAlpha(0);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+
+        const frameCount = captureFrameCount(timeline, fps);
+        for (let frame = 0; frame < frameCount && !signal.aborted; frame++) {
+            seekCaptureFrame(timeline, frame / fps, frame ? 1 / fps : 0);
+            renderCaptureFrame();
+            // The WebGL drawing buffer is only readable until control returns to the browser
+            context.clearRect(0, 0, width, height);
+            context.drawImage(renderer.domElement, 0, 0);
+            await onFrame(context, frame, frameCount);
+            setLoadingProgress('Frame', frame / (frameCount - 1));
+            // Let the overlay repaint and the cancel button respond
+            await new Promise((resolve) => setTimeout(resolve));
+        }
+    } finally {
+        renderer.setClearAlpha(clearAlpha);
+        endCapture?.();
+        finishExport();
+    }
+    return !signal.aborted;
+}
+
+async function exportFrames() {
+    if (!currentGeometry) return;
+    const files = {};
+    const done = await renderFrameSequence('Rendering frames...', async (context, frame, frameCount) => {
+        const blob = await new Promise((resolve) => context.canvas.toBlob(resolve, 'image/png'));
+        const digits = Math.max(4, String(frameCount - 1).length);
+        files[`frame-${String(frame).padStart(digits, '0')}.png`] = new Uint8Array(await blob.arrayBuffer());
+    });
+    if (!done) return;
+
+    // PNGs are already compressed: store them as-is
+    const zip = zipSync(files, { level: 0 });
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), `${exportBaseName()}-frames.zip`);
+}
+
+async function exportGIF() {
+    if (!currentGeometry) return;
+    const { width, height } = parseExportSize();
+    const fps = parseInt(document.getElementById('export-fps').value, 10);
+    const encoder = createGIFEncoder(width, height, 1 / fps);
+    const done = await renderFrameSequence('Rendering GIF...', (context) => {
+        encoder.addFrame(context.getImageData(0, 0, width, height).data);
+    });
+    if (!done) return;
+
+    downloadBlob(new Blob([encoder.finish()], { type: 'image/gif' }), `${exportBaseName()}.gif`);
+}
+
+document.getElementById('export-frames').addEventListener('click', () => exportFrames().catch(reportExportError));
+document.getElementById('export-gif').addEventListener('click', () => exportGIF().catch(reportExportError));
+
+// ===== Screenshot =====
+/**
+ * Saves the current view as PNG at a multiple of the window size. With
+ * "Transparent Screenshot" on, the sky is hidden and the background cleared to
+ * alpha 0 so the model can be composited elsewhere.
+ */
+async function exportScreenshot() {
+    const requestedScale = parseInt(document.getElementById('screenshot-scale').value, 10);
+    const transparent = document.getElementById('screenshot-transparent').checked;
+
+    // Stay within what the GPU can render to in one pass
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const scale = Math.min(requestedScale, maxSize / window.innerWidth, maxSize / window.innerHeight);
+    const width = Math.floor(window.innerWidth * scale);
+    const height = Math.floor(window.innerHeight * scale);
+    if (scale < requestedScale) console.warn(`Screenshot limited to ${width}x${height} by the GPU`);
+
+    const skyVisible = sky.visible;
+    const clearAlpha = renderer.getClearAlpha();
+    if (transparent) {
+        sky.visible = false;
+        renderer.setClearAlpha(0);
+    }
+    // Copy the frame out before endCapture resizes (and clears) the WebGL canvas
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    let endCapture = null;
+    try {
+        endCapture = beginCapture(width, height);
+        renderCaptureFrame();
+        canvas.getContext('2d').drawImage(renderer.domElement, 0, 0);
+    } finally {
+        endCapture?.();
+        sky.visible = skyVisible;
+        renderer.setClearAlpha(clearAlpha);
+    }
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    await downloadBlob(blob, `${exportBaseName()}-${width}x${height}.png`);
+}
+
+document.getElementById('export-screenshot').addEventListener('click', () => exportScreenshot().catch(reportExportError));
+
+// ===== Model Export =====
+/**
+ * The model as the stages see it: welded vertices, visible parts only and
+ * triangles collapsed by welding dropped. Vertex colors carry over; UVs and
+ * materials don't, since welding merges vertices across texture seams. With
+ * `keepOriginal`, the rescale and floor drop from autoScaleAndPositionModel
+ * are undone.
+ */
+function buildExportObject(keepOriginal) {
+    const positions = verticesData.slice();
+    const normalization = currentGeometry.userData.normalization;
+    if (keepOriginal && normalization) {
+        for (let i = 0; i < positions.length; i += 3) {
+            positions[i] /= normalization.scale;
+            positions[i + 1] = (positions[i + 1] - normalization.offsetY) / normalization.scale;
+            positions[i + 2] /= normalization.scale;
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+    const colorAttr = currentGeometry.attributes.color;
+    if (colorAttr) {
+        const colors = new Float32Array(vertexCount * 3);
+        vertexSourceIds.forEach((source, i) => {
+            colors[i * 3] = colorAttr.getX(source);
+            colors[i * 3 + 1] = colorAttr.getY(source);
+            colors[i * 3 + 2] = colorAttr.getZ(source);
+        });
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    }
+
+    let object;
+    if (isPointCloud()) {
+        object = new THREE.Points(geometry, new THREE.PointsMaterial({ vertexColors: !!colorAttr }));
+    } else {
+        const index = [];
+        for (let i = 0; i < facesData.length; i += 3) {
+            const [a, b, c] = facesData.subarray(i, i + 3);
+            if (a !== b && b !== c && a !== c) index.push(a, b, c);
+        }
+        geometry.setIndex(index);
+        geometry.computeVertexNormals();
+        object = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ vertexColors: !!colorAttr }));
+    }
+    object.name = exportBaseName();
+    return object;
+}
+
+async function exportModel(format) {
+    if (!currentGeometry) return;
+    const keepOriginal = document.getElementById('model-export-original').checked;
+    const object = buildExportObject(keepOriginal);
+    const fileName = `${exportBaseName()}.${format}`;
+
+    let blob;
+    try {
+        if (format === 'obj') {
+            blob = new Blob([new OBJExporter().parse(object)], { type: 'text/plain' });
+        } else if (format === 'stl') {
+            blob = new Blob([new STLExporter().parse(object, { binary: true })], { type: 'model/stl' });
+        } else {
+            const glb = await new GLTFExporter().parseAsync(object, { binary: true });
+            blob = new Blob([glb], { type: 'model/gltf-binary' });
+        }
+    } catch (error) {
+        showLoadingError(`Could not export ${fileName}: ${error.message || error}`);
+        return;
+    } finally {
+        object.geometry.dispose();
+        object.material.dispose();
+    }
+    await downloadBlob(blob, fileName);
+}
+
+['obj', 'stl', 'glb'].forEach((format) => {
+    document.getElementById(`export-${format}`).addEventListener('click', () => exportModel(format).catch(reportExportError));
+});
+
 function resetScene() {
     clearObjects();
-    document.getElementById('info-text').textContent = 'Click buttons to visualize 3D modeling concepts';
+    const infoText = document.getElementById('info-text');
+    if (infoText) infoText.textContent = 'Click buttons to visualize 3D modeling concepts';
     updateInfo();
 
     // Reset button states
@@ -1597,25 +3769,24 @@ function resetScene() {
 
 function clearObjects() {
     // Kill all running GSAP animations to prevent null reference errors
-    gsap.killTweensOf(vertexScales);
-    gsap.killTweensOf(edgeVisibility);
-    gsap.killTweensOf(faceVisibility);
+    stopStageTimeline();
+    killStageTweens();
 
     if (vertices) {
         scene.remove(vertices);
         vertices = null;
         window.verticesMesh = null;
-        vertexScales = [];
+        vertexReveal = null;
     }
     if (edgesMesh) {
         scene.remove(edgesMesh);
         edgesMesh = null;
-        edgeVisibility = [];
+        edgeReveal = null;
     }
     if (facesMesh) {
         scene.remove(facesMesh);
         facesMesh = null;
-        faceVisibility = [];
+        faceReveal = null;
     }
     if (facesInnerMesh) {
         scene.remove(facesInnerMesh);
@@ -1623,12 +3794,29 @@ function clearObjects() {
     }
     if (mesh) scene.remove(mesh);
     mesh = null;
+    meshUniforms = null;
 }
 
 function updateInfo() {
-    document.getElementById('vertex-count').textContent = verticesData.length;
-    document.getElementById('edge-count').textContent = edgesData.length;
-    document.getElementById('face-count').textContent = facesData.length;
+    document.getElementById('vertex-count').textContent = vertexCount;
+    const rawCount = document.getElementById('vertex-raw-count');
+    rawCount.textContent = `(${rawVertexCount} raw)`;
+    rawCount.hidden = rawVertexCount === vertexCount;
+    document.getElementById('edge-count').textContent = edgeCount;
+    document.getElementById('face-count').textContent = polygonCount;
+    document.getElementById('face-count-label').title = `${faceCount} triangles`;
+
+    // Point clouds only have a vertex stage
+    const pointCloud = isPointCloud();
+    document.getElementById('edge-count-label').hidden = pointCloud;
+    document.getElementById('face-count-label').hidden = pointCloud;
+    document.getElementById('point-cloud-label').hidden = !pointCloud;
+    ['connect-edges', 'form-faces', 'assemble-mesh'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.disabled = pointCloud;
+    });
+    // STL only stores triangles
+    document.getElementById('export-stl').disabled = pointCloud;
 }
 
 // ===== Mobile & Desktop UI Management =====
@@ -1637,9 +3825,22 @@ let isCollapsed = false;
 const isMobile = () => window.innerWidth <= 535;
 let currentMode = isMobile() ? 'mobile' : 'desktop';
 
+function setSettingsCollapsed(collapsed) {
+    isCollapsed = collapsed;
+    const settingsPanel = document.getElementById('settings');
+    settingsPanel.classList.toggle('collapsed', collapsed);
+    settingsPanel.classList.toggle('expanded', !collapsed);
+}
+
 // ===== Animation Loop =====
+const frameClock = new THREE.Clock();
+
 function animate() {
     requestAnimationFrame(animate);
+    // Exports drive the camera and rendering themselves
+    const delta = frameClock.getDelta();
+    if (capturing) return;
+    updateTurntable(delta);
     controls.update();
 
     // Apply camera offset for panels (after OrbitControls update)
@@ -1702,13 +3903,7 @@ if ('serviceWorker' in navigator) {
 
     function syncPanelState() {
         // Apply the user's preference (collapsed or not) based on current layout
-        if (isCollapsed) {
-            settingsPanel.classList.add('collapsed');
-            settingsPanel.classList.remove('expanded');
-        } else {
-            settingsPanel.classList.remove('collapsed');
-            settingsPanel.classList.add('expanded');
-        }
+        setSettingsCollapsed(isCollapsed);
     }
 
     function applyMobileStyles() {
@@ -0,0 +1,229 @@
+// 3D Mesh Visualizer - Stage data helpers
+// Plain functions (no Three.js import) shared by main.js and model-worker.js
+
+/**
+ * Stores `geometry.userData.polygonIds` (polygon index per triangle) from a list
+ * of consecutive triangle counts, one entry per polygon.
+ */
+export function withPolygons(geometry, trianglesPerPolygon) {
+    const triangleCount = (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+    const polygonIds = new Uint32Array(triangleCount);
+    let triangle = 0;
+    trianglesPerPolygon.forEach((count, polygon) => {
+        for (let i = 0; i < count && triangle < triangleCount; i++) polygonIds[triangle++] = polygon;
+    });
+
+    if (triangle === triangleCount) {
+        geometry.userData.polygonIds = polygonIds;
+    } else {
+        console.warn('Polygon layout does not match triangle count; treating every triangle as a face');
+    }
+    return geometry;
+}
+
+// How often (in loop iterations) long loops report progress
+const PROGRESS_INTERVAL = 65536;
+
+/**
+ * Builds the vertex/edge/face data the stages animate from raw geometry buffers.
+ *
+ * `input` holds `positions` (xyz Float32Array), `index` (Uint32Array or null),
+ * `parts`/`partVisibility`, `polygonIds`, `pointCloud`, `weldTolerance` and
+ * `showTriangulation`. `onProgress(stage, fraction)` is called periodically.
+ * Returns typed arrays: welded `positions` (xyz), `sourceIds` (geometry vertex
+ * per welded vertex), `faces` (3 indices each), `facePolygonIds` and `edges`
+ * (2 indices each), plus `rawVertexCount` and `polygonCount`.
+ */
+export function extractMeshData(input, onProgress = () => {}) {
+    const { positions, index, pointCloud } = input;
+    const parts = input.parts ? input.parts.filter((part, p) => input.partVisibility[p]) : null;
+
+    // Geometry vertex for each raw vertex, raw vertex indices (3 per triangle) and
+    // the geometry triangle each one came from
+    let sourceVertices;
+    let rawFaces;
+    let sourceTriangles;
+
+    if (parts) {
+        // Multi-part model: gather vertices and faces from each visible part, remapping
+        // indices so they address the compacted vertex list
+        const vertexTotal = parts.reduce((sum, part) => sum + part.vertexCount, 0);
+        const indexTotal = parts.reduce((sum, part) => sum + part.indexCount, 0);
+        sourceVertices = new Uint32Array(vertexTotal);
+        rawFaces = new Uint32Array(indexTotal);
+        sourceTriangles = new Uint32Array(indexTotal / 3);
+
+        let vertexOffset = 0;
+        let indexOffset = 0;
+        parts.forEach((part) => {
+            const offset = vertexOffset - part.vertexStart;
+            for (let i = 0; i < part.vertexCount; i++) {
+                sourceVertices[vertexOffset++] = part.vertexStart + i;
+            }
+            for (let i = part.indexStart; i < part.indexStart + part.indexCount; i++) {
+                rawFaces[indexOffset] = index[i] + offset;
+                if (indexOffset % 3 === 0) sourceTriangles[indexOffset / 3] = i / 3;
+                indexOffset++;
+            }
+        });
+    } else {
+        const vertexCount = positions.length / 3;
+        sourceVertices = new Uint32Array(vertexCount);
+        for (let i = 0; i < vertexCount; i++) sourceVertices[i] = i;
+
+        // Point clouds have no connectivity: vertices only
+        if (pointCloud) {
+            rawFaces = new Uint32Array(0);
+        } else if (index) {
+            rawFaces = index.slice(0, index.length - index.length % 3);
+        } else {
+            rawFaces = sourceVertices.slice(0, vertexCount - vertexCount % 3);
+        }
+        sourceTriangles = new Uint32Array(rawFaces.length / 3);
+        for (let i = 0; i < sourceTriangles.length; i++) sourceTriangles[i] = i;
+    }
+
+    const welded = weldVertices(positions, sourceVertices, input.weldTolerance, onProgress);
+    const faces = rawFaces;
+    for (let i = 0; i < faces.length; i++) faces[i] = welded.remap[faces[i]];
+
+    // Group triangles into polygons, numbered in order of appearance
+    const polygonIds = input.polygonIds && !input.showTriangulation ? input.polygonIds : null;
+    const faceCount = sourceTriangles.length;
+    const facePolygonIds = new Uint32Array(faceCount);
+    const polygonMap = new Map();
+    for (let i = 0; i < faceCount; i++) {
+        const source = polygonIds ? polygonIds[sourceTriangles[i]] : sourceTriangles[i];
+        let polygon = polygonMap.get(source);
+        if (polygon === undefined) {
+            polygon = polygonMap.size;
+            polygonMap.set(source, polygon);
+        }
+        facePolygonIds[i] = polygon;
+    }
+
+    const edges = extractEdges(faces, facePolygonIds, onProgress);
+    onProgress('Extracting edges', 1);
+
+    return {
+        positions: welded.positions,
+        sourceIds: welded.sourceIds,
+        rawVertexCount: sourceVertices.length,
+        faces,
+        facePolygonIds,
+        polygonCount: polygonMap.size,
+        edges
+    };
+}
+
+// Open-addressing hash tables below hold item ids in a power-of-two slot array (-1 = empty)
+function createHashSlots(itemCount) {
+    let capacity = 16;
+    while (capacity < itemCount * 1.5) capacity *= 2;
+    return new Int32Array(capacity).fill(-1);
+}
+
+/**
+ * Merges coincident vertices (non-indexed OBJ/STL, box sides and sphere/cylinder
+ * seams all store copies per face). Positions are snapped to a grid of
+ * `tolerance` world units; at 0 only exact duplicates merge, with a tiny epsilon
+ * so seam vertices computed as sin(2 * PI) ~ 1e-16 still match.
+ */
+function weldVertices(positions, sourceVertices, tolerance, onProgress) {
+    const count = sourceVertices.length;
+    const cellSize = Math.max(tolerance, 1e-6);
+    const slots = createHashSlots(count);
+    const mask = slots.length - 1;
+    const cells = new Int32Array(count * 3);  // Grid cell of each welded vertex
+    const weldedPositions = new Float32Array(count * 3);
+    const sourceIds = new Uint32Array(count);
+    const remap = new Uint32Array(count);
+    let weldedCount = 0;
+
+    for (let i = 0; i < count; i++) {
+        const source = sourceVertices[i];
+        const x = Math.round(positions[source * 3] / cellSize) | 0;
+        const y = Math.round(positions[source * 3 + 1] / cellSize) | 0;
+        const z = Math.round(positions[source * 3 + 2] / cellSize) | 0;
+
+        let slot = (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) & mask;
+        let target = slots[slot];
+        while (target !== -1 && (cells[target * 3] !== x || cells[target * 3 + 1] !== y || cells[target * 3 + 2] !== z)) {
+            slot = (slot + 1) & mask;
+            target = slots[slot];
+        }
+
+        if (target === -1) {
+            target = weldedCount++;
+            slots[slot] = target;
+            cells[target * 3] = x;
+            cells[target * 3 + 1] = y;
+            cells[target * 3 + 2] = z;
+            weldedPositions.set(positions.subarray(source * 3, source * 3 + 3), target * 3);
+            sourceIds[target] = source;
+        }
+        remap[i] = target;
+        if (i % PROGRESS_INTERVAL === 0) onProgress('Welding vertices', i / count);
+    }
+
+    return {
+        positions: weldedPositions.slice(0, weldedCount * 3),
+        sourceIds: sourceIds.slice(0, weldedCount),
+        remap
+    };
+}
+
+// An edge whose only neighbours are two triangles of the same polygon is a
+// triangulation diagonal, not a true polygon edge
+function extractEdges(faces, facePolygonIds, onProgress) {
+    const faceCount = facePolygonIds.length;
+    const maxEdges = faceCount * 3;
+    const slots = createHashSlots(maxEdges);
+    const mask = slots.length - 1;
+    const pairs = new Uint32Array(maxEdges * 2);  // Lower, higher vertex index per edge
+    const polygons = new Uint32Array(maxEdges);  // Polygon of the first triangle seen
+    const triangleCounts = new Uint8Array(maxEdges);  // Saturates; only "exactly 2" matters
+    const shared = new Uint8Array(maxEdges);  // 1 once triangles of different polygons meet here
+    let edgeCount = 0;
+
+    for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+        const polygon = facePolygonIds[faceIndex];
+        for (let k = 0; k < 3; k++) {
+            const v0 = faces[faceIndex * 3 + k];
+            const v1 = faces[faceIndex * 3 + (k + 1) % 3];
+            if (v0 === v1) continue;  // Collapsed by welding (e.g. cone apex)
+            const a = Math.min(v0, v1);
+            const b = Math.max(v0, v1);
+
+            let slot = (Math.imul(a, 73856093) ^ Math.imul(b, 19349663)) & mask;
+            let edge = slots[slot];
+            while (edge !== -1 && (pairs[edge * 2] !== a || pairs[edge * 2 + 1] !== b)) {
+                slot = (slot + 1) & mask;
+                edge = slots[slot];
+            }
+
+            if (edge === -1) {
+                edge = edgeCount++;
+                slots[slot] = edge;
+                pairs[edge * 2] = a;
+                pairs[edge * 2 + 1] = b;
+                polygons[edge] = polygon;
+                triangleCounts[edge] = 1;
+            } else {
+                if (triangleCounts[edge] < 255) triangleCounts[edge]++;
+                if (polygons[edge] !== polygon) shared[edge] = 1;
+            }
+        }
+        if (faceIndex % PROGRESS_INTERVAL === 0) onProgress('Extracting edges', faceIndex / faceCount);
+    }
+
+    const edges = new Uint32Array(edgeCount * 2);
+    let kept = 0;
+    for (let edge = 0; edge < edgeCount; edge++) {
+        if (!shared[edge] && triangleCounts[edge] === 2) continue;
+        edges[kept * 2] = pairs[edge * 2];
+        edges[kept * 2 + 1] = pairs[edge * 2 + 1];
+        kept++;
+    }
+    return edges.slice(0, kept * 2);
+}
@@ -0,0 +1,166 @@
+// 3D Mesh Visualizer - Model Worker
+// Parses model files and extracts stage data off the main thread so large
+// models don't freeze the UI. Messages in: { id, task, payload }. Messages out:
+// { id, type: 'progress', stage, progress }, { id, type: 'result', result }
+// or { id, type: 'error', message }. Buffers are transferred, not copied.
+
+import { extractMeshData, withPolygons } from './mesh-data.js';
+
+// Workers can't see the page's importmap; jsDelivr's +esm builds resolve 'three' themselves
+const THREE_CDN = 'https://cdn.jsdelivr.net/npm/three@0.149.0/examples/jsm';
+const importThree = (path) => import(`${THREE_CDN}/${path}/+esm`);
+
+const tasks = {
+    parseOBJ,
+    parseSTL,
+    parsePLY,
+    unzip,
+    extract
+};
+
+self.addEventListener('message', async ({ data }) => {
+    const { id, task, payload } = data;
+    const onProgress = (stage, progress) => self.postMessage({ id, type: 'progress', stage, progress });
+
+    try {
+        const transfer = new Set();
+        const result = await tasks[task](payload, onProgress, transfer);
+        self.postMessage({ id, type: 'result', result }, Array.from(transfer));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
+
+// ===== Parsing =====
+async function parseOBJ(data, onProgress, transfer) {
+    const { OBJLoader } = await importThree('loaders/OBJLoader.js');
+    onProgress('Parsing', 0);
+    const text = new TextDecoder().decode(data);
+    const container = new OBJLoader().parse(text);
+    onProgress('Parsing', 0.8);
+    tagOBJPolygons(text, container);
+    onProgress('Parsing', 1);
+
+    // Materials are rebuilt on the main thread (MTL textures need the DOM), so only
+    // what OBJLoader would have used to create them is sent back
+    const meshes = container.children.filter((child) => child.isMesh).map((child) => ({
+        name: child.name,
+        geometry: serializeGeometry(child.geometry, transfer),
+        materials: [].concat(child.material).map((material) => ({
+            name: material.name,
+            flatShading: material.flatShading,
+            vertexColors: material.vertexColors
+        }))
+    }));
+    return { meshes, materialLibraries: container.materialLibraries };
+}
+
+/**
+ * OBJLoader fan-triangulates every `f` line, losing the polygon structure.
+ * Re-read the face lines, splitting objects on `o`/`g` exactly as the loader
+ * does, and tag each mesh with the polygon each of its triangles came from.
+ */
+function tagOBJPolygons(text, container) {
+    const objects = [{ declared: false, sizes: [] }];
+    const lines = text.replace(/\r\n/g, '\n').replace(/\\\n/g, '').split('\n');
+
+    for (const rawLine of lines) {
+        const line = rawLine.trimStart();
+        const first = line.charAt(0);
+        if (first === 'f') {
+            const size = line.slice(1).trim().split(/\s+/).filter(Boolean).length;
+            if (size >= 3) objects[objects.length - 1].sizes.push(size);
+        } else if (first === 'o' || first === 'g') {
+            // The loader renames its initial object on the first o/g instead of starting a new one
+            const current = objects[objects.length - 1];
+            if (current.declared) {
+                objects.push({ declared: true, sizes: [] });
+            } else {
+                current.declared = true;
+            }
+        }
+    }
+
+    const faceObjects = objects.filter((object) => object.sizes.length > 0);
+    const meshes = container.children.filter((child) => child.isMesh);
+    if (faceObjects.length !== meshes.length) return;
+
+    meshes.forEach((child, i) => {
+        // An n-gon becomes n - 2 triangles; withPolygons skips the tag if the counts disagree
+        withPolygons(child.geometry, faceObjects[i].sizes.map((size) => size - 2));
+    });
+}
+
+async function parseSTL(data, onProgress, transfer) {
+    // STLLoader detects ASCII vs binary itself. STL stores three unshared vertices
+    // per triangle, so weld them to recover the real vertex/edge topology.
+    const [{ STLLoader }, { mergeVertices }] = await Promise.all([
+        importThree('loaders/STLLoader.js'),
+        importThree('utils/BufferGeometryUtils.js')
+    ]);
+    onProgress('Parsing', 0);
+    const geometry = new STLLoader().parse(data);
+    onProgress('Parsing', 0.5);
+
+    // Only positions are kept (per-face normals would stop vertices from merging);
+    // smooth normals are recomputed from the welded result
+    for (const name of Object.keys(geometry.attributes)) {
+        if (name !== 'position') geometry.deleteAttribute(name);
+    }
+    const welded = mergeVertices(geometry, 1e-4);
+    welded.computeVertexNormals();
+    onProgress('Parsing', 1);
+    return serializeGeometry(welded, transfer);
+}
+
+async function parsePLY(data, onProgress, transfer) {
+    // PLYLoader handles ASCII and binary (little/big endian) and keeps per-vertex colors.
+    // A PLY without a face element is a scan / point cloud: flag it so only vertices are shown.
+    const { PLYLoader } = await importThree('loaders/PLYLoader.js');
+    onProgress('Parsing', 0);
+    const geometry = new PLYLoader().parse(data);
+    if (!geometry.index) {
+        geometry.userData.isPointCloud = true;
+    } else if (!geometry.attributes.normal) {
+        geometry.computeVertexNormals();
+    }
+    onProgress('Parsing', 1);
+    return serializeGeometry(geometry, transfer);
+}
+
+// Entries of a .zip bundle as { path: Uint8Array }; the main thread picks the model out
+async function unzip(data, onProgress, transfer) {
+    const { unzipSync } = await importThree('libs/fflate.module.js');
+    onProgress('Unpacking', 0);
+    const entries = unzipSync(new Uint8Array(data));
+    Object.values(entries).forEach((bytes) => transfer.add(bytes.buffer));
+    onProgress('Unpacking', 1);
+    return entries;
+}
+
+// Plain arrays for rebuilding a BufferGeometry on the main thread (see deserializeGeometry)
+function serializeGeometry(geometry, transfer) {
+    const attributes = {};
+    Object.entries(geometry.attributes).forEach(([name, attr]) => {
+        attributes[name] = { array: attr.array, itemSize: attr.itemSize, normalized: attr.normalized };
+        transfer.add(attr.array.buffer);
+    });
+
+    const index = geometry.index ? geometry.index.array : null;
+    if (index) transfer.add(index.buffer);
+    if (geometry.userData.polygonIds) transfer.add(geometry.userData.polygonIds.buffer);
+
+    return {
+        attributes,
+        index,
+        groups: geometry.groups.map((group) => ({ ...group })),
+        userData: geometry.userData
+    };
+}
+
+// ===== Stage Data =====
+function extract(input, onProgress, transfer) {
+    const data = extractMeshData(input, onProgress);
+    ['positions', 'sourceIds', 'faces', 'facePolygonIds', 'edges'].forEach((key) => transfer.add(data[key].buffer));
+    return data;
+}
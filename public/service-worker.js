@@ -1,9 +1,12 @@
-const CACHE_NAME = 'mesh-visualizer-v2';
+const CACHE_NAME = 'mesh-visualizer-v4';
 const BASE_PATH = self.registration.scope;
 const urlsToCache = [
   BASE_PATH,
   BASE_PATH + 'index.html',
   BASE_PATH + 'main.js',
+  BASE_PATH + 'gif-encoder.js',
+  BASE_PATH + 'mesh-data.js',
+  BASE_PATH + 'model-worker.js',
   BASE_PATH + 'gsap.min.js',
   BASE_PATH + 'manifest.json',
   BASE_PATH + 'fonts/Inter-Regular.woff2',